@@ -1,17 +1,36 @@
-import React, { useEffect, useMemo, useState, useCallback } from "react";
+/* global BigInt */
+import React, { useEffect, useMemo, useState, useCallback, useRef } from "react";
 import { DndContext, closestCenter, PointerSensor, useSensor, useSensors } from "@dnd-kit/core";
 import { arrayMove, SortableContext, useSortable, verticalListSortingStrategy } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
-import { GripVertical, Trash2, Plus, Download, FolderDown, FileText, Settings, CheckCircle2, XCircle, Search, ChevronLeft, ChevronRight } from "lucide-react";
-import JSZip from "jszip";
+import { GripVertical, Trash2, Plus, Download, FolderDown, FileText, Settings, CheckCircle2, XCircle, Search, ChevronLeft, ChevronRight, FilePlus, Copy, Pencil, FileUp, FileDown, Undo2, Redo2, History, Shuffle, Upload } from "lucide-react";
 // IMPORTANT: default import for file-saver for CDN + ESM compatibility
 import saveAs from "file-saver";
 
 /**
- * @typedef {{ id: string, text: string }} SectionItem
- * @typedef {{ id: string, name: string, items: SectionItem[], enabled: boolean }} Section
+ * @typedef {{ id: string, text: string, itemId?: string, omitted?: boolean, parts?: SectionItem[] }} SectionItem
+ * @typedef {{ id: string, name: string, items: SectionItem[], enabled: boolean, optional?: boolean, pickCount?: number, pickOrdered?: boolean }} Section
+ * @typedef {{ length: number, at: (pos: number) => SectionItem }} ChoiceList
+ * @typedef {{ id: string, sectionIds: string[] }} SectionOrder
+ * @typedef {{ id: string, name: string, sectionIds: string[] }} Recipe
+ * @typedef {{ id: string, name: string, value: string }} Variable
+ * @typedef {Array<string | { options: SpinSeq[] }>} SpinSeq
  * @typedef {{ name: string, pass: boolean, details?: string }} TestResult
- * @typedef {{ text?: string, excludedIds?: string[] }} AdOverride
+ * @typedef {"draft" | "approved" | "rejected"} ReviewStatus
+ * @typedef {{ text?: string, excludedIds?: string[], status?: ReviewStatus, note?: string, updatedAt?: number }} AdOverride
+ * @typedef {{ key: string, override: AdOverride, reason: string }} OrphanOverride
+ * @typedef {{ id: string, name: string }} ProjectMeta
+ * @typedef {{ id: string, itemId: string, type: "requires" | "excludes", targetItemId?: string, targetSectionId?: string }} Rule
+ * @typedef {{ forbidden: Map<number, Set<number>>, offsets: number[], hides: Map<string, Set<string>>, skipped: Rule[], tooLarge: string[] }} CompiledRules
+ * @typedef {{ sections: Section[], overrides: Record<string, AdOverride>, rules: Rule[], sectionOrders: SectionOrder[], recipes: Recipe[], variables: Variable[] }} EditorDoc
+ * @typedef {{ label: string, coalesceKey?: string, at: number, doc: EditorDoc }} HistoryEntry
+ * @typedef {{ mode: "all" | "sample" | "pairwise", sampleSize: number, seed: string, balanced: boolean }} GenerationSettings
+ * @typedef {{ profile: string, adLimit: number, lineLimit: number, onExport: "include" | "flag" | "skip" }} LimitSettings
+ * @typedef {{ campaign: string, adGroup: string, finalUrl: string, path1: string, path2: string, fields: Record<string, string> }} GoogleAdsSettings
+ * @typedef {{ campaign: string, adSet: string, link: string, cta: string, fields: Record<string, string> }} MetaAdsSettings
+ * @typedef {{ template: string, maxLength: number }} FileNameSettings
+ * @typedef {{ folderSectionId: string, filesPerArchive: number }} ZipSettings
+ * @typedef {{ sections: Section[], overrides: Record<string, AdOverride>, rules: Rule[], sectionOrders: SectionOrder[], recipes: Recipe[], variables: Variable[], includeHeadings: boolean, separator: string, maxForPreview: number, maxForZip: number, generation: GenerationSettings, recipeScope: string, limits: LimitSettings, googleAds: GoogleAdsSettings, metaAds: MetaAdsSettings, dedupeExports: boolean, approvedOnly: boolean, performance: PerformanceData | null, fileNames: FileNameSettings, zip: ZipSettings }} ProjectData
  */
 
 // ---------- Utilities ----------
@@ -36,67 +55,2567 @@ const DEFAULT_SECTIONS = [
   ]},
 ];
 
-/** @param {Section[]} sections */
+/** @returns {Section[]} */
+function freshDefaultSections() {
+  return DEFAULT_SECTIONS.map(s => ({ ...s, id: uid(), items: s.items.map(i => ({ ...i, id: uid() })) }));
+}
+
+/**
+ * The sections that take part in ads: enabled and with at least one line. Counting, indexing
+ * and building all go through this, so an empty section never changes a total.
+ * @param {Section[]} sections
+ */
+function participatingSections(sections) {
+  return sections.filter(s => s.enabled && s.items.length > 0);
+}
+
+/**
+ * Number of combinations, as a BigInt: a dozen sections of twenty lines is already past
+ * what a plain number counts exactly.
+ * @param {Section[]} sections
+ */
 function productCount(sections) {
-  const active = sections.filter(s => s.enabled);
-  if (active.length === 0) return 0;
-  return active.reduce((acc, s) => acc * Math.max(1, s.items.length), 1);
+  const active = participatingSections(sections);
+  if (active.length === 0) return 0n;
+  return active.reduce((acc, s) => acc * BigInt(sectionChoices(s).length), 1n);
+}
+
+function permutations(n, k) {
+  if (k < 0 || k > n) return 0;
+  let r = 1;
+  for (let i = 0; i < k; i++) r *= n - i;
+  return r;
+}
+
+// Choice lists are indexed with plain numbers, exact only up to 2^53. A spintax line may have at
+// most MAX_LINE_VERSIONS versions (so thousands of such lines still add up exactly) and multi-pick
+// sections pick fewer lines rather than go past MAX_SECTION_CHOICES groups.
+const MAX_LINE_VERSIONS = 2 ** 40;
+const MAX_SECTION_CHOICES = 2 ** 52;
+const pickLimitCache = new WeakMap();
+
+/** How many lines a section contributes to each ad (never more than it has, see pickLimit). */
+function pickSize(section) {
+  const wanted = Math.max(1, Math.min(section.pickCount || 1, section.items.length));
+  return wanted > 1 ? pickLimit(section, wanted) : 1;
+}
+
+/**
+ * The most lines (up to `wanted`) a section can pick while every count pickChoices works with
+ * stays within MAX_SECTION_CHOICES. Worked out exactly, and cached on the section's line array.
+ * @param {Section} section
+ * @param {number} wanted
+ */
+function pickLimit(section, wanted) {
+  const key = `${wanted}|${!!section.pickOrdered}`;
+  let byKey = pickLimitCache.get(section.items);
+  if (!byKey) pickLimitCache.set(section.items, (byKey = new Map()));
+  if (byKey.has(key)) return byKey.get(key);
+  // e[j]: picks of j lines, each weighted by its versions (pickChoices' tail[0][j])
+  const e = [1n, ...Array(wanted).fill(0n)];
+  section.items.forEach(item => {
+    const w = BigInt(lineExpansions(item).count);
+    for (let j = wanted; j >= 1; j--) e[j] += w * e[j - 1];
+  });
+  let k = 1, largest = e[1], orderings = 1n;
+  while (k < wanted) {
+    if (e[k + 1] > largest) largest = e[k + 1];
+    if (section.pickOrdered) orderings *= BigInt(k + 1);
+    if (orderings * largest > BigInt(MAX_SECTION_CHOICES)) break;
+    k++;
+  }
+  byKey.set(key, k);
+  return k;
+}
+
+/**
+ * Lazily indexed picks of k lines from a section, in lexicographic order: k-subsets, or
+ * k-permutations when order matters. Each pick is a composite item whose id joins its parts.
+ * Lines with spintax count once per expansion, so a pick covers every mix of their versions.
+ * @param {Section} section
+ * @returns {ChoiceList}
+ */
+function pickChoices(section) {
+  const lines = section.items.map(lineExpansions);
+  const w = lines.map(l => l.count);
+  const n = lines.length, k = pickSize(section);
+  const ordered = !!section.pickOrdered;
+  const factorial = (j) => permutations(j, j);
+  // tail[s][j]: sum over j-line picks from lines s.. of the product of their expansion counts
+  const tail = Array.from({ length: n + 1 }, () => Array(k + 1).fill(0));
+  tail[n][0] = 1;
+  for (let v = n - 1; v >= 0; v--) {
+    tail[v][0] = 1;
+    for (let j = 1; j <= k; j++) tail[v][j] = tail[v + 1][j] + w[v] * tail[v + 1][j - 1];
+  }
+  const length = ordered ? factorial(k) * tail[0][k] : tail[0][k];
+  const at = (pos) => {
+    if (pos < 0 || pos >= length) return undefined;
+    const picked = [];
+    if (ordered) {
+      let remaining = lines.map((_, v) => v);
+      for (let slot = 0; slot < k; slot++) {
+        const rest = k - slot - 1;
+        // e[j]: weighted j-picks from the remaining lines; without[j] the same minus line v
+        const e = Array(k + 1).fill(0);
+        e[0] = 1;
+        remaining.forEach(v => { for (let j = k; j >= 1; j--) e[j] += w[v] * e[j - 1]; });
+        for (const v of remaining) {
+          const without = [1];
+          for (let j = 1; j <= rest; j++) without[j] = e[j] - w[v] * without[j - 1];
+          const sub = factorial(rest) * without[rest];
+          if (pos < w[v] * sub) {
+            picked.push(lines[v].at(Math.floor(pos / sub)));
+            pos %= sub;
+            remaining = remaining.filter(x => x !== v);
+            break;
+          }
+          pos -= w[v] * sub;
+        }
+      }
+    } else {
+      let from = 0;
+      for (let slot = 0; slot < k; slot++) {
+        for (let v = from; v < n; v++) {
+          const sub = tail[v + 1][k - slot - 1];
+          if (pos < w[v] * sub) { picked.push(lines[v].at(Math.floor(pos / sub))); pos %= sub; from = v + 1; break; }
+          pos -= w[v] * sub;
+        }
+      }
+    }
+    return { id: picked.map(it => it.id).join("+"), text: picked.map(it => it.text).join("\n"), parts: picked };
+  };
+  return { length, at };
+}
+
+/**
+ * A single-pick section's lines with spintax expanded in place. Plain arrays stay arrays.
+ * @param {Section} section
+ * @returns {SectionItem[] | ChoiceList}
+ */
+function lineChoices(section) {
+  const lines = section.items.map(lineExpansions);
+  if (lines.every((l, v) => l.count === 1 && l.at(0) === section.items[v])) return section.items;
+  const starts = [];
+  let length = 0;
+  lines.forEach(l => { starts.push(length); length += l.count; });
+  const at = (pos) => {
+    if (pos < 0 || pos >= length) return undefined;
+    let lo = 0, hi = lines.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= pos) lo = mid; else hi = mid - 1;
+    }
+    return lines[lo].at(pos - starts[lo]);
+  };
+  return { length, at };
+}
+
+/**
+ * The choices a section offers per ad. Optional sections lead with an "omit" pseudo-item
+ * so leaving the section out is just another combination (and its canonical first choice).
+ * Multi-pick and spintax sections are indexed lazily rather than listed.
+ * @param {Section} section
+ * @returns {SectionItem[] | ChoiceList}
+ */
+function sectionChoices(section) {
+  const omit = { id: `omit:${section.id}`, text: "", omitted: true };
+  const choices = pickSize(section) > 1 ? pickChoices(section) : lineChoices(section);
+  if (!section.optional) return choices;
+  if (Array.isArray(choices)) return [omit, ...choices];
+  return { length: choices.length + 1, at: (pos) => (pos === 0 ? omit : choices.at(pos - 1)) };
+}
+
+/**
+ * Choices for the section-order dimension: the drag-and-drop order first, then each
+ * alternative. Returns null when there are no alternatives (no extra dimension).
+ * @param {SectionOrder[]} sectionOrders
+ * @param {Section[]} activeSections
+ * @returns {SectionItem[] | null}
+ */
+function orderChoices(sectionOrders, activeSections) {
+  if (sectionOrders.length === 0) return null;
+  const names = new Map(activeSections.map(s => [s.id, s.name]));
+  const describe = (ids) => ids.filter(id => names.has(id)).map(id => names.get(id)).join(" → ");
+  const base = activeSections.map(s => s.id);
+  return [
+    { id: "order:base", text: describe(base), label: "Order 1", sectionIds: base },
+    ...sectionOrders.map((o, i) => ({ id: `order:${o.id}`, text: describe(o.sectionIds), label: `Order ${i + 2}`, sectionIds: o.sectionIds })),
+  ];
+}
+
+/**
+ * Pair each active section with its choice, in the order the ad uses. A trailing order choice
+ * (see orderChoices) rearranges the sections; sections it doesn't list keep their place at the end.
+ * @param {SectionItem[]} combo
+ * @param {Section[]} activeSections
+ * @returns {{ section: Section, item: SectionItem }[]}
+ */
+function arrangeCombo(combo, activeSections) {
+  const parts = activeSections.map((section, i) => ({ section, item: combo[i] }));
+  const order = combo[activeSections.length];
+  if (!order || !order.sectionIds) return parts;
+  const rank = new Map(order.sectionIds.map((id, i) => [id, i]));
+  const place = (p, i) => (rank.has(p.section.id) ? rank.get(p.section.id) : order.sectionIds.length + i);
+  return parts.map((p, i) => ({ p, r: place(p, i) })).sort((a, b) => a.r - b.r).map(x => x.p);
+}
+
+/** The source lines behind a choice (a spintax expansion points back to its line). */
+function choiceItemIds(choice) {
+  return (choice.parts || [choice]).map(p => p.itemId || p.id);
+}
+
+// ---------- Spintax & variables ----------
+// `{a|b|c}` inside a line expands into one version per option (options may nest), and
+// `{{name}}` is filled from the project's variable table when an ad is built. A line with
+// malformed braces is used as written, and the problem is reported next to it.
+const VARIABLE_NAME = /^[A-Za-z_][\w.-]*$/;
+const spintaxCache = new Map();
+
+/**
+ * @param {string} text
+ * @returns {{ root: SpinSeq, count: number, errors: string[], variables: string[] }}
+ */
+function parseSpintax(text) {
+  if (spintaxCache.has(text)) return spintaxCache.get(text);
+  const errors = [];
+  const variables = [];
+  const root = [];
+  const stack = []; // open groups: { options, opened }
+  let seq = root;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "{" && text[i + 1] === "{") {
+      const close = text.indexOf("}}", i + 2);
+      if (close === -1) { errors.push(`“{{” at character ${i + 1} is never closed`); break; }
+      const name = text.slice(i + 2, close).trim();
+      if (!VARIABLE_NAME.test(name)) errors.push(`“${text.slice(i, close + 2)}” is not a valid variable name`);
+      else if (!variables.includes(name)) variables.push(name);
+      seq.push(`{{${name}}}`);
+      i = close + 1;
+    } else if (ch === "{") {
+      const group = { options: [[]], opened: i };
+      seq.push(group);
+      stack.push({ group, parent: seq });
+      seq = group.options[0];
+    } else if (ch === "|" && stack.length) {
+      const { group } = stack[stack.length - 1];
+      seq = [];
+      group.options.push(seq);
+    } else if (ch === "}") {
+      if (!stack.length) { errors.push(`unexpected “}” at character ${i + 1}`); continue; }
+      seq = stack.pop().parent;
+    } else if (typeof seq[seq.length - 1] === "string") {
+      seq[seq.length - 1] += ch;
+    } else {
+      seq.push(ch);
+    }
+  }
+  stack.forEach(({ group }) => errors.push(`“{” at character ${group.opened + 1} is never closed`));
+  if (!errors.length && spinCount(root) > MAX_LINE_VERSIONS) errors.push(`more than ${MAX_LINE_VERSIONS.toLocaleString()} versions is too many to count`);
+  const parsed = errors.length
+    ? { root: [text], count: 1, errors, variables }
+    : { root, count: spinCount(root), errors, variables };
+  if (spintaxCache.size > 5000) spintaxCache.clear();
+  spintaxCache.set(text, parsed);
+  return parsed;
+}
+
+/** @param {SpinSeq} seq */
+function spinCount(seq) {
+  return seq.reduce((acc, part) => (typeof part === "string" ? acc : acc * part.options.reduce((n, o) => n + spinCount(o), 0)), 1);
+}
+
+/**
+ * The k-th version of a parsed line; the last group varies fastest.
+ * @param {SpinSeq} seq
+ * @param {number} k
+ */
+function expandSpintax(seq, k) {
+  const out = [];
+  for (let p = seq.length - 1; p >= 0; p--) {
+    const part = seq[p];
+    if (typeof part === "string") { out.push(part); continue; }
+    const total = spinCount([part]);
+    let r = k % total;
+    k = Math.floor(k / total);
+    for (const option of part.options) {
+      const c = spinCount(option);
+      if (r < c) { out.push(expandSpintax(option, r)); break; }
+      r -= c;
+    }
+  }
+  return out.reverse().join("");
+}
+
+/**
+ * The versions of one line. A plain line is its own single version; expansions get
+ * "<line id>#<k>" ids so edits stay with the exact version.
+ * @param {SectionItem} item
+ * @returns {{ count: number, at: (k: number) => SectionItem }}
+ */
+function lineExpansions(item) {
+  const parsed = parseSpintax(item.text);
+  if (parsed.count === 1) {
+    // a lone "{only option}" still loses its braces
+    const single = parsed.root.every(part => typeof part === "string") ? item : { ...item, text: expandSpintax(parsed.root, 0) };
+    return { count: 1, at: () => single };
+  }
+  return { count: parsed.count, at: (k) => ({ id: `${item.id}#${k}`, text: expandSpintax(parsed.root, k), itemId: item.id }) };
+}
+
+/**
+ * Fill `{{name}}` tokens; unknown names stay visible so they're easy to spot.
+ * @param {string} text
+ * @param {Variable[]} variables
+ */
+function fillVariables(text, variables) {
+  if (!text.includes("{{")) return text;
+  const values = new Map(variables.map(v => [v.name.trim(), v.value]));
+  return text.replace(/\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g, (token, name) => (values.has(name) ? values.get(name) : token));
+}
+
+/** @param {SectionItem[][]} lists */
+function *cartesianGenerator(lists) {
+  if (lists.length === 0) { yield []; return; }
+  const [first, ...rest] = lists;
+  for (const f of first) {
+    if (rest.length === 0) {
+      yield [f];
+    } else {
+      for (const combo of cartesianGenerator(rest)) {
+        yield [f, ...combo];
+      }
+    }
+  }
+}
+
+function normalizeFileName(text, max = 40) {
+  const clean = text
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/[^a-z0-9 \-_.]/gi, " "); // turn invalid chars into spaces so they become hyphens later
+  return (clean.slice(0, max) || "ad").replace(/\s+/g, "-").toLowerCase();
+}
+
+/**
+ * RFC 4180 CSV: every cell quoted when it holds a comma, quote or line break.
+ * @param {string[][]} rows
+ */
+function toCsv(rows) {
+  const cell = (v) => {
+    const text = String(v ?? "");
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Parse CSV or TSV (whichever the first line suggests). Quoted cells may hold delimiters,
+ * doubled quotes and line breaks.
+ * @param {string} text
+ * @returns {{ rows: string[][], delimiter: string, errors: string[] }}
+ */
+function parseDelimited(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0] || "";
+  const delimiter = (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? "\t" : ",";
+  const rows = [];
+  const errors = [];
+  let row = [], cell = "", quoted = false, quoteStartLine = 0, line = 1;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === "\n") line++; cell += ch; }
+    } else if (ch === '"' && cell === "") {
+      quoted = true; quoteStartLine = line;
+    } else if (ch === delimiter) {
+      row.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = ""; line++;
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) errors.push(`A quoted cell starting on line ${quoteStartLine} is never closed`);
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return { rows: rows.filter(r => r.some(c => c.trim())), delimiter, errors };
+}
+
+function downloadBlob(blob, filename) {
+  // Robust: prefer file-saver if present; fallback to anchor method
+  try {
+    if (typeof saveAs === "function") {
+      saveAs(blob, filename);
+      return;
+    }
+  } catch (_) {}
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 4000);
+}
+
+// Get the nth combination without generating all previous ones. Indices are BigInts (plain
+// numbers are accepted) so positions past 2^53 still land on the right ad.
+function getCombinationAt(index, lists) {
+  const sizes = lists.map(l => BigInt(l.length));
+  const total = sizes.length ? sizes.reduce((a, b) => a * b, 1n) : 0n;
+  let rest = BigInt(index);
+  if (rest < 0n || rest >= total) return null;
+  const choiceIdx = [];
+  for (let i = sizes.length - 1; i >= 0; i--) {
+    choiceIdx[i] = Number(rest % sizes[i]);
+    rest /= sizes[i];
+  }
+  return choiceIdx.map((pos, i) => lists[i].at(pos));
+}
+
+// ---------- Per-ad overrides ----------
+// Overrides are keyed by the sorted item IDs an ad is built from (not its index), so they
+// survive text edits and section reorders. Besides edits they hold the ad's review.
+const REVIEW_STATUSES = [
+  { id: "draft", label: "Draft" },
+  { id: "approved", label: "Approved" },
+  { id: "rejected", label: "Rejected" },
+];
+
+/** @param {SectionItem[]} combo */
+function comboKey(combo) {
+  return combo.map(it => it.id).sort().join("|");
+}
+
+/**
+ * The ID exports use for an ad. It's the override key, so it stays the same across exports
+ * while the lines behind the ad exist, whatever its position.
+ * @param {SectionItem[]} combo
+ */
+function adId(combo) {
+  return comboKey(combo);
+}
+
+/**
+ * Match saved overrides against the current sections. IDs from disabled sections are ignored,
+ * so an edit carries forward when a section is toggled or added. Overrides that point at deleted
+ * items, only at disabled sections, or that are hidden by a newer edit come back as orphans.
+ * Section-order ids count as live only while that order is offered. Overrides tagged with another
+ * recipe are left out entirely (they belong to that recipe's ads, not this one's).
+ * @param {Record<string, AdOverride>} overrides
+ * @param {Section[]} sections
+ * @param {{ orderIds?: string[], recipeId?: string, recipeIds?: string[] }} [scope]
+ */
+function resolveOverrides(overrides, sections, { orderIds = [], recipeId, recipeIds = [] } = {}) {
+  const itemSection = new Map();
+  const versions = new Map();
+  sections.forEach(s => {
+    s.items.forEach(it => { itemSection.set(it.id, s); versions.set(it.id, parseSpintax(it.text).count); });
+    if (s.optional) itemSection.set(`omit:${s.id}`, s);
+  });
+  // a line id, or "line#k" for a spintax version the line still has
+  const lineSection = (part) => {
+    const [itemId, k] = part.split("#");
+    const count = versions.get(itemId);
+    if (count === undefined) return undefined;
+    const current = k === undefined ? count === 1 : /^\d+$/.test(k) && Number(k) < count && count > 1;
+    return current ? itemSection.get(itemId) : undefined;
+  };
+  // a multi-pick id ("a+b") is only current if its section still picks that many, in that form
+  const sectionOf = (id) => {
+    if (id.startsWith("order:")) return { enabled: orderIds.includes(id) };
+    if (id.startsWith("recipe:")) return { enabled: true };
+    if (id.startsWith("omit:")) return itemSection.get(id);
+    if (!id.includes("+")) {
+      const sec = lineSection(id);
+      return sec && pickSize(sec) === 1 ? sec : undefined;
+    }
+    const parts = id.split("+");
+    const sec = lineSection(parts[0]);
+    if (!sec || pickSize(sec) !== parts.length || parts.some(pid => lineSection(pid) !== sec)) return undefined;
+    const positions = parts.map(pid => sec.items.findIndex(it => it.id === pid.split("#")[0]));
+    if (new Set(positions).size !== parts.length) return undefined;
+    if (!sec.pickOrdered && positions.some((v, i) => i > 0 && v < positions[i - 1])) return undefined;
+    return sec;
+  };
+  const byLiveKey = new Map();
+  /** @type {OrphanOverride[]} */
+  const orphans = [];
+  for (const [key, override] of Object.entries(overrides)) {
+    const ids = key.split("|").filter(Boolean);
+    const recipeTag = ids.find(id => id.startsWith("recipe:"));
+    if (recipeTag && !recipeIds.includes(recipeTag.slice(7))) { orphans.push({ key, override, reason: "belongs to a deleted recipe" }); continue; }
+    if (recipeTag && recipeTag !== `recipe:${recipeId}`) continue;
+    if (ids.some(id => !sectionOf(id))) { orphans.push({ key, override, reason: "uses a line or pick that no longer exists" }); continue; }
+    const live = ids.filter(id => sectionOf(id).enabled).sort();
+    if (live.length === 0) { orphans.push({ key, override, reason: "its sections are turned off" }); continue; }
+    const entry = { key, override, live, exact: live.length === ids.length };
+    const liveKey = live.join("|");
+    const prev = byLiveKey.get(liveKey);
+    if (!prev) { byLiveKey.set(liveKey, entry); continue; }
+    // same live items: prefer an exact match, then the most recent edit
+    const rank = (e) => [e.exact ? 1 : 0, e.override.updatedAt || 0];
+    const [a, b] = [rank(entry), rank(prev)];
+    const entryWins = a[0] !== b[0] ? a[0] > b[0] : a[1] > b[1];
+    const loser = entryWins ? prev : entry;
+    orphans.push({ key: loser.key, override: loser.override, reason: "hidden by a newer edit" });
+    if (entryWins) byLiveKey.set(liveKey, entry);
+  }
+  const partial = Array.from(byLiveKey.values()).sort((a, b) => b.live.length - a.live.length);
+  return { byLiveKey, partial, orphans };
+}
+
+/**
+ * Find the override for a combination: an exact key wins, otherwise the most specific
+ * carried-forward override whose live items are all part of the ad.
+ * @param {ReturnType<typeof resolveOverrides>} resolved
+ * @param {SectionItem[]} combo
+ * @returns {AdOverride | null}
+ */
+function lookupOverride(resolved, combo) {
+  const key = comboKey(combo);
+  const exact = resolved.byLiveKey.get(key);
+  if (exact) return exact.override;
+  const ids = new Set(combo.map(it => it.id));
+  const hit = resolved.partial.find(e => e.live.length < ids.size && e.live.every(id => ids.has(id)));
+  return hit ? hit.override : null;
+}
+
+// ---------- Undo history ----------
+// Project fields that make up the undoable document; everything else is a setting.
+const DOC_KEYS = ["sections", "overrides", "rules", "sectionOrders", "recipes", "variables"];
+const HISTORY_LIMIT = 100;
+const COALESCE_MS = 1500;
+
+/** @param {ProjectData} data @returns {EditorDoc} */
+function docFromProject(data) {
+  return Object.fromEntries(DOC_KEYS.map(k => [k, data[k]]));
+}
+
+/**
+ * Record `editor.doc` as the state before a new step. Keystrokes on the same field merge
+ * into one step until the user pauses for COALESCE_MS.
+ * @param {{ doc: EditorDoc, past: HistoryEntry[], future: HistoryEntry[] }} editor
+ * @param {{ label: string, coalesceKey?: string }} step
+ * @param {number} now
+ */
+function pushHistory(editor, step, now) {
+  const last = editor.past[editor.past.length - 1];
+  if (step.coalesceKey && last && last.coalesceKey === step.coalesceKey && now - last.at < COALESCE_MS) {
+    return { past: [...editor.past.slice(0, -1), { ...last, at: now }], future: [] };
+  }
+  const entry = { label: step.label, coalesceKey: step.coalesceKey, at: now, doc: editor.doc };
+  return { past: [...editor.past, entry].slice(-HISTORY_LIMIT), future: [] };
+}
+
+/**
+ * Move through history: negative steps undo, positive steps redo.
+ * @param {{ doc: EditorDoc, past: HistoryEntry[], future: HistoryEntry[] }} editor
+ * @param {number} steps
+ */
+function stepHistory(editor, steps) {
+  let { doc, past, future } = editor;
+  for (; steps < 0 && past.length; steps++) {
+    const entry = past[past.length - 1];
+    past = past.slice(0, -1);
+    future = [...future, { ...entry, coalesceKey: undefined, doc }];
+    doc = entry.doc;
+  }
+  for (; steps > 0 && future.length; steps--) {
+    const entry = future[future.length - 1];
+    future = future.slice(0, -1);
+    past = [...past, { ...entry, doc }];
+    doc = entry.doc;
+  }
+  return doc === editor.doc ? editor : { doc, past, future };
+}
+
+/**
+ * Name a section edit for the history list, and say which edits may be merged.
+ * @param {Section} prev
+ * @param {Section} next
+ * @returns {{ label: string, coalesceKey?: string }}
+ */
+function describeSectionEdit(prev, next) {
+  const name = `“${next.name || prev.name}”`;
+  if (prev.name !== next.name) return { label: `Rename section ${name}`, coalesceKey: `name:${next.id}` };
+  if (prev.enabled !== next.enabled) return { label: `${next.enabled ? "Enable" : "Disable"} section ${name}` };
+  if (!!prev.optional !== !!next.optional) return { label: `Make section ${name} ${next.optional ? "optional" : "required"}` };
+  if ((prev.pickCount || 1) !== (next.pickCount || 1) || !!prev.pickOrdered !== !!next.pickOrdered) return { label: `Change lines per ad in ${name}` };
+  const added = next.items.length - prev.items.length;
+  if (added > 1) return { label: `Paste ${added} lines into ${name}` };
+  if (added === 1) return { label: `Add line to ${name}` };
+  if (added < 0) return { label: `Delete line from ${name}` };
+  const edited = next.items.find((it, i) => prev.items[i] && prev.items[i].id === it.id && prev.items[i].text !== it.text);
+  if (edited) return { label: `Edit line in ${name}`, coalesceKey: `item:${edited.id}` };
+  return { label: `Reorder lines in ${name}` };
+}
+
+// ---------- Projects (localStorage) ----------
+// Each project lives under its own key; "avb.projects" holds the list and the active project id.
+const PROJECTS_KEY = "avb.projects";
+const projectStorageKey = (id) => `avb.project.${id}`;
+const LEGACY_KEYS = ["avb.sections", "avb.overrides", "avb.headings", "avb.sep"];
+const PROJECT_SAVE_DELAY = 500; // ms of quiet before the open project is written back
+
+/**
+ * Write one key. Browsers refuse writes past their storage quota (a few MB), so a big project
+ * gets a reason back instead of an exception.
+ * @returns {string} "" when saved, else why it wasn't
+ */
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+    return "";
+  } catch (e) {
+    return e && e.name === "QuotaExceededError"
+      ? "Browser storage is full, so recent changes are not saved. Export the project to keep them, or clear imported results or other projects."
+      : `Browser storage refused the save (${e?.message || e}). Export the project to keep your changes.`;
+  }
+}
+
+/** @returns {GenerationSettings} */
+function defaultGenerationSettings() {
+  return { mode: "all", sampleSize: 50, seed: "1", balanced: false };
+}
+
+/** @returns {LimitSettings} */
+function defaultLimitSettings() {
+  return { profile: "none", adLimit: 125, lineLimit: 30, onExport: "include" };
+}
+
+/** @returns {GoogleAdsSettings} */
+function defaultGoogleAdsSettings() {
+  return { campaign: "", adGroup: "", finalUrl: "", path1: "", path2: "", fields: {} };
+}
+
+/** @returns {MetaAdsSettings} */
+function defaultMetaAdsSettings() {
+  return { campaign: "", adSet: "", link: "", cta: "LEARN_MORE", fields: {} };
+}
+
+/** @returns {ProjectData} */
+function defaultProjectData() {
+  return {
+    sections: freshDefaultSections(), overrides: {}, rules: [], sectionOrders: [], recipes: [], variables: [], includeHeadings: false, separator: "\n\n", maxForPreview: 20, maxForZip: 3000,
+    generation: defaultGenerationSettings(), recipeScope: "", limits: defaultLimitSettings(),
+    googleAds: defaultGoogleAdsSettings(), metaAds: defaultMetaAdsSettings(), dedupeExports: false, approvedOnly: false, performance: null,
+    fileNames: defaultFileNameSettings(), zip: defaultZipSettings(),
+  };
+}
+
+/**
+ * Read the pre-projects single-campaign keys, or null if there are none.
+ * @param {(key: string) => string | null} getItem
+ * @returns {ProjectData | null}
+ */
+function readLegacyProject(getItem) {
+  if (LEGACY_KEYS.every(k => getItem(k) === null)) return null;
+  const data = defaultProjectData();
+  try {
+    const rawSections = getItem("avb.sections");
+    if (rawSections) data.sections = JSON.parse(rawSections);
+    const rawOverrides = getItem("avb.overrides");
+    // drop legacy index-keyed entries; they can't be mapped back to a combination
+    if (rawOverrides) data.overrides = Object.fromEntries(Object.entries(JSON.parse(rawOverrides)).filter(([k]) => !/^\d+$/.test(k)));
+  } catch {}
+  data.includeHeadings = getItem("avb.headings") === "1";
+  data.separator = getItem("avb.sep") ?? data.separator;
+  return data;
+}
+
+/** @returns {{ projects: ProjectMeta[], activeId: string }} */
+function loadProjectIndex() {
+  try {
+    const raw = localStorage.getItem(PROJECTS_KEY);
+    if (raw) {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed.projects) && parsed.projects.length) {
+        const activeId = parsed.projects.some(p => p.id === parsed.activeId) ? parsed.activeId : parsed.projects[0].id;
+        return { projects: parsed.projects, activeId };
+      }
+    }
+  } catch {}
+  // first run (or pre-projects storage): start with a single project
+  const id = uid();
+  const legacy = readLegacyProject((k) => localStorage.getItem(k));
+  saveProjectData(id, legacy || defaultProjectData());
+  LEGACY_KEYS.forEach(k => localStorage.removeItem(k));
+  const index = { projects: [{ id, name: "My project" }], activeId: id };
+  saveProjectIndex(index.projects, index.activeId);
+  return index;
+}
+
+/** @param {ProjectMeta[]} projects @param {string} activeId @returns {string} see writeStorage */
+function saveProjectIndex(projects, activeId) {
+  return writeStorage(PROJECTS_KEY, JSON.stringify({ projects, activeId }));
+}
+
+/** @param {string} id @returns {ProjectData} */
+function loadProjectData(id) {
+  try {
+    const raw = localStorage.getItem(projectStorageKey(id));
+    if (raw) return { ...defaultProjectData(), ...JSON.parse(raw) };
+  } catch {}
+  return defaultProjectData();
+}
+
+/** @param {string} id @param {ProjectData} data @returns {string} see writeStorage */
+function saveProjectData(id, data) {
+  return writeStorage(projectStorageKey(id), JSON.stringify(data));
+}
+
+/** @param {string} id */
+function removeProjectData(id) {
+  localStorage.removeItem(projectStorageKey(id));
+}
+
+// ---------- Project files (import/export) ----------
+const PROJECT_FILE_FORMAT = "ad-variations-builder/project";
+const PROJECT_FILE_VERSION = 14;
+
+// Each migration takes a file at version N and returns it at version N + 1.
+// v1 held sections, overrides, headings, separator and the preview/ZIP caps.
+const PROJECT_FILE_MIGRATIONS = {
+  // v2 added generation settings (all combinations vs. seeded sample)
+  1: (file) => ({ ...file, version: 2, project: { ...file.project, generation: defaultGenerationSettings() } }),
+  // v3 added compatibility rules
+  2: (file) => ({ ...file, version: 3, project: { ...file.project, rules: [] } }),
+  // v4 added alternative section orders
+  3: (file) => ({ ...file, version: 4, project: { ...file.project, sectionOrders: [] } }),
+  // v5 added named recipes
+  4: (file) => ({ ...file, version: 5, project: { ...file.project, recipes: [], recipeScope: "" } }),
+  // v6 added the variable table for {{name}} tokens
+  5: (file) => ({ ...file, version: 6, project: { ...file.project, variables: [] } }),
+  // v7 added platform character limits
+  6: (file) => ({ ...file, version: 7, project: { ...file.project, limits: defaultLimitSettings() } }),
+  // v8 added Google Ads export settings
+  7: (file) => ({ ...file, version: 8, project: { ...file.project, googleAds: defaultGoogleAdsSettings() } }),
+  // v9 added Meta Ads export settings
+  8: (file) => ({ ...file, version: 9, project: { ...file.project, metaAds: defaultMetaAdsSettings() } }),
+  // v10 added the option to leave repeated ads out of exports
+  9: (file) => ({ ...file, version: 10, project: { ...file.project, dedupeExports: false } }),
+  // v11 added review status and notes on ads, and exporting approved ads only
+  10: (file) => ({ ...file, version: 11, project: { ...file.project, approvedOnly: false } }),
+  // v12 added imported performance data
+  11: (file) => ({ ...file, version: 12, project: { ...file.project, performance: null } }),
+  // v13 added file-name templates for exported ads
+  12: (file) => ({ ...file, version: 13, project: { ...file.project, fileNames: defaultFileNameSettings() } }),
+  // v14 added ZIP folders and splitting
+  13: (file) => ({ ...file, version: 14, project: { ...file.project, zip: defaultZipSettings() } }),
+};
+
+/** @param {string} name @param {ProjectData} data */
+function buildProjectFile(name, data) {
+  return { format: PROJECT_FILE_FORMAT, version: PROJECT_FILE_VERSION, name, exportedAt: new Date().toISOString(), project: data };
+}
+
+/**
+ * Check project data shape and return readable problems (empty when valid).
+ * @param {any} data
+ * @returns {string[]}
+ */
+function validateProjectData(data) {
+  const errors = [];
+  const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+  if (!isObj(data)) return ["project must be an object"];
+  if (!Array.isArray(data.sections)) {
+    errors.push("project.sections must be a list");
+  } else {
+    const seen = new Set();
+    data.sections.forEach((sec, i) => {
+      const at = `project.sections[${i}]`;
+      if (!isObj(sec)) { errors.push(`${at} must be an object`); return; }
+      if (typeof sec.id !== "string" || !sec.id) errors.push(`${at}.id must be a non-empty string`);
+      else if (seen.has(sec.id)) errors.push(`${at}.id "${sec.id}" is used more than once`);
+      seen.add(sec.id);
+      if (typeof sec.name !== "string") errors.push(`${at}.name must be a string`);
+      if (typeof sec.enabled !== "boolean") errors.push(`${at}.enabled must be true or false`);
+      if (sec.optional !== undefined && typeof sec.optional !== "boolean") errors.push(`${at}.optional must be true or false`);
+      if (sec.pickCount !== undefined && (!Number.isInteger(sec.pickCount) || sec.pickCount < 1)) errors.push(`${at}.pickCount must be a positive whole number`);
+      if (sec.pickOrdered !== undefined && typeof sec.pickOrdered !== "boolean") errors.push(`${at}.pickOrdered must be true or false`);
+      if (!Array.isArray(sec.items)) { errors.push(`${at}.items must be a list`); return; }
+      sec.items.forEach((it, j) => {
+        if (!isObj(it)) { errors.push(`${at}.items[${j}] must be an object`); return; }
+        if (typeof it.id !== "string" || !it.id) errors.push(`${at}.items[${j}].id must be a non-empty string`);
+        else if (seen.has(it.id)) errors.push(`${at}.items[${j}].id "${it.id}" is used more than once`);
+        seen.add(it.id);
+        if (typeof it.text !== "string") errors.push(`${at}.items[${j}].text must be a string`);
+      });
+    });
+  }
+  if (!isObj(data.overrides)) {
+    errors.push("project.overrides must be an object");
+  } else {
+    Object.entries(data.overrides).forEach(([key, ov]) => {
+      const at = `project.overrides["${key}"]`;
+      if (!isObj(ov)) { errors.push(`${at} must be an object`); return; }
+      if (ov.text !== undefined && typeof ov.text !== "string") errors.push(`${at}.text must be a string`);
+      if (ov.excludedIds !== undefined && !(Array.isArray(ov.excludedIds) && ov.excludedIds.every(id => typeof id === "string"))) {
+        errors.push(`${at}.excludedIds must be a list of section ids`);
+      }
+      if (ov.status !== undefined && !REVIEW_STATUSES.some(r => r.id === ov.status)) errors.push(`${at}.status must be draft, approved or rejected`);
+      if (ov.note !== undefined && typeof ov.note !== "string") errors.push(`${at}.note must be a string`);
+    });
+  }
+  if (!Array.isArray(data.sectionOrders)) {
+    errors.push("project.sectionOrders must be a list");
+  } else {
+    data.sectionOrders.forEach((order, i) => {
+      const at = `project.sectionOrders[${i}]`;
+      if (!isObj(order)) { errors.push(`${at} must be an object`); return; }
+      if (typeof order.id !== "string" || !order.id) errors.push(`${at}.id must be a non-empty string`);
+      if (!Array.isArray(order.sectionIds) || !order.sectionIds.every(id => typeof id === "string")) errors.push(`${at}.sectionIds must be a list of section ids`);
+    });
+  }
+  if (!Array.isArray(data.recipes)) {
+    errors.push("project.recipes must be a list");
+  } else {
+    data.recipes.forEach((recipe, i) => {
+      const at = `project.recipes[${i}]`;
+      if (!isObj(recipe)) { errors.push(`${at} must be an object`); return; }
+      if (typeof recipe.id !== "string" || !recipe.id) errors.push(`${at}.id must be a non-empty string`);
+      if (typeof recipe.name !== "string") errors.push(`${at}.name must be a string`);
+      if (!Array.isArray(recipe.sectionIds) || !recipe.sectionIds.every(id => typeof id === "string")) errors.push(`${at}.sectionIds must be a list of section ids`);
+    });
+  }
+  if (typeof data.recipeScope !== "string") errors.push("project.recipeScope must be a string");
+  if (!Array.isArray(data.variables)) {
+    errors.push("project.variables must be a list");
+  } else {
+    data.variables.forEach((variable, i) => {
+      const at = `project.variables[${i}]`;
+      if (!isObj(variable)) { errors.push(`${at} must be an object`); return; }
+      if (typeof variable.id !== "string" || !variable.id) errors.push(`${at}.id must be a non-empty string`);
+      if (typeof variable.name !== "string") errors.push(`${at}.name must be a string`);
+      if (typeof variable.value !== "string") errors.push(`${at}.value must be a string`);
+    });
+  }
+  if (!Array.isArray(data.rules)) {
+    errors.push("project.rules must be a list");
+  } else {
+    data.rules.forEach((rule, i) => {
+      const at = `project.rules[${i}]`;
+      if (!isObj(rule)) { errors.push(`${at} must be an object`); return; }
+      if (typeof rule.id !== "string" || !rule.id) errors.push(`${at}.id must be a non-empty string`);
+      if (typeof rule.itemId !== "string") errors.push(`${at}.itemId must be a line id`);
+      if (!["requires", "excludes"].includes(rule.type)) errors.push(`${at}.type must be "requires" or "excludes"`);
+      const targets = [rule.targetItemId, rule.targetSectionId].filter(t => t !== undefined);
+      if (targets.length !== 1 || typeof targets[0] !== "string") errors.push(`${at} needs exactly one of targetItemId or targetSectionId`);
+      else if (rule.type === "requires" && rule.targetSectionId !== undefined) errors.push(`${at} can only require a line, not a section`);
+    });
+  }
+  if (typeof data.includeHeadings !== "boolean") errors.push("project.includeHeadings must be true or false");
+  if (typeof data.separator !== "string") errors.push("project.separator must be a string");
+  ["maxForPreview", "maxForZip"].forEach(k => {
+    if (!Number.isInteger(data[k]) || data[k] < 1) errors.push(`project.${k} must be a positive whole number`);
+  });
+  const gen = data.generation;
+  if (!isObj(gen)) {
+    errors.push("project.generation must be an object");
+  } else {
+    if (!["all", "sample", "pairwise"].includes(gen.mode)) errors.push(`project.generation.mode "${gen.mode}" is not a known mode`);
+    if (!Number.isInteger(gen.sampleSize) || gen.sampleSize < 1) errors.push("project.generation.sampleSize must be a positive whole number");
+    if (typeof gen.seed !== "string") errors.push("project.generation.seed must be a string");
+    if (typeof gen.balanced !== "boolean") errors.push("project.generation.balanced must be true or false");
+  }
+  const limits = data.limits;
+  if (!isObj(limits)) {
+    errors.push("project.limits must be an object");
+  } else {
+    if (!PLATFORM_PROFILES.some(p => p.id === limits.profile)) errors.push(`project.limits.profile "${limits.profile}" is not a known platform`);
+    ["adLimit", "lineLimit"].forEach(k => {
+      if (!Number.isInteger(limits[k]) || limits[k] < 0) errors.push(`project.limits.${k} must be a whole number (0 for no limit)`);
+    });
+    if (!["include", "flag", "skip"].includes(limits.onExport)) errors.push(`project.limits.onExport "${limits.onExport}" must be "include", "flag" or "skip"`);
+  }
+  const google = data.googleAds;
+  if (!isObj(google)) {
+    errors.push("project.googleAds must be an object");
+  } else {
+    ["campaign", "adGroup", "finalUrl", "path1", "path2"].forEach(k => {
+      if (typeof google[k] !== "string") errors.push(`project.googleAds.${k} must be a string`);
+    });
+    if (!isObj(google.fields) || !Object.values(google.fields).every(f => GOOGLE_RSA_FIELDS.some(x => x.id === f))) {
+      errors.push("project.googleAds.fields must map section ids to RSA fields");
+    }
+  }
+  const meta = data.metaAds;
+  if (!isObj(meta)) {
+    errors.push("project.metaAds must be an object");
+  } else {
+    ["campaign", "adSet", "link", "cta"].forEach(k => {
+      if (typeof meta[k] !== "string") errors.push(`project.metaAds.${k} must be a string`);
+    });
+    if (!isObj(meta.fields) || !Object.values(meta.fields).every(f => META_FIELDS.some(x => x.id === f))) {
+      errors.push("project.metaAds.fields must map section ids to Meta fields");
+    }
+  }
+  if (typeof data.dedupeExports !== "boolean") errors.push("project.dedupeExports must be true or false");
+  if (typeof data.approvedOnly !== "boolean") errors.push("project.approvedOnly must be true or false");
+  const names = data.fileNames;
+  if (!isObj(names) || typeof names.template !== "string" || !Number.isInteger(names.maxLength) || names.maxLength < 1) {
+    errors.push("project.fileNames must have a template and a maxLength of at least 1");
+  }
+  const zip = data.zip;
+  if (!isObj(zip) || typeof zip.folderSectionId !== "string" || !Number.isInteger(zip.filesPerArchive) || zip.filesPerArchive < 0) {
+    errors.push("project.zip must have a folderSectionId and a filesPerArchive of 0 or more");
+  }
+  const perf = data.performance;
+  if (perf !== null && !(isObj(perf) && Array.isArray(perf.records))) {
+    errors.push("project.performance must be null or an object with a records list");
+  } else if (perf) {
+    perf.records.forEach((r, i) => {
+      const at = `project.performance.records[${i}]`;
+      if (!isObj(r) || typeof r.id !== "string") { errors.push(`${at}.id must be a string`); return; }
+      if (!Array.isArray(r.itemIds) || !r.itemIds.every(id => typeof id === "string")) errors.push(`${at}.itemIds must be a list of line ids`);
+      if (!isObj(r.metrics) || !Object.values(r.metrics).every(Number.isFinite)) errors.push(`${at}.metrics must hold numbers`);
+    });
+  }
+  return errors;
+}
+
+/**
+ * Parse an exported project file, upgrading older versions first.
+ * @param {string} text
+ * @returns {{ name: string, data: ProjectData, errors: [] } | { errors: string[] }}
+ */
+function parseProjectFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    return { errors: [`File is not valid JSON (${e.message})`] };
+  }
+  if (!file || typeof file !== "object" || file.format !== PROJECT_FILE_FORMAT) {
+    return { errors: ["This is not an Ad Variations Builder project file"] };
+  }
+  if (!Number.isInteger(file.version) || file.version < 1) return { errors: ["File has no valid version number"] };
+  if (file.version > PROJECT_FILE_VERSION) {
+    return { errors: [`File is version ${file.version}, but this app only reads up to version ${PROJECT_FILE_VERSION}. Update the app and try again.`] };
+  }
+  while (file.version < PROJECT_FILE_VERSION) {
+    file = PROJECT_FILE_MIGRATIONS[file.version](file);
+  }
+  const errors = validateProjectData(file.project);
+  if (errors.length) return { errors };
+  const name = typeof file.name === "string" && file.name.trim() ? file.name.trim() : "Imported project";
+  return { name, data: file.project, errors: [] };
+}
+
+// ---------- Compatibility rules ----------
+// line id -> choice positions, kept per line array (edits replace it) and pick/optional setup
+const choicePositionsCache = new WeakMap();
+
+/**
+ * Where each line turns up among a section's choices, found in one pass over the choices
+ * rather than once per rule, and reused across edits that leave the section's lines alone.
+ * @param {Section} section
+ * @param {SectionItem[] | ChoiceList} choices sectionChoices(section)
+ * @returns {Map<string, number[]>}
+ */
+function choicePositions(section, choices) {
+  const setup = `${pickSize(section)}|${!!section.pickOrdered}|${!!section.optional}`;
+  let bySetup = choicePositionsCache.get(section.items);
+  if (!bySetup) choicePositionsCache.set(section.items, (bySetup = new Map()));
+  if (bySetup.has(setup)) return bySetup.get(setup);
+  const positions = new Map();
+  for (let a = 0; a < choices.length; a++) {
+    for (const itemId of new Set(choiceItemIds(choices.at(a)))) {
+      if (!positions.has(itemId)) positions.set(itemId, []);
+      positions.get(itemId).push(a);
+    }
+  }
+  bySetup.set(setup, positions);
+  return positions;
+}
+
+// Rules are checked choice by choice, which only stays quick for sections of this many choices
+const RULE_MAX_CHOICES = 10000;
+
+/**
+ * Compile rules into forbidden choice pairs over the active sections. Every rule is a pair
+ * constraint: "A requires B" forbids A with the other items of B's section, "A excludes B"
+ * forbids A with B, and "A excludes section S" allows only S's first choice next to A (its
+ * omission, if S is optional) and hides S in those ads. Rules whose item or target isn't in another active section are skipped.
+ * Checking rules walks every choice of every section, so past RULE_MAX_CHOICES choices in any
+ * one of them no rule is applied and `tooLarge` names the sections to blame.
+ * @param {Rule[]} rules
+ * @param {Section[]} activeSections
+ * @returns {CompiledRules}
+ */
+function compileRules(rules, activeSections) {
+  const where = new Map();
+  activeSections.forEach((s, i) => s.items.forEach(it => where.set(it.id, i)));
+  const choices = activeSections.map(sectionChoices);
+  // choice positions in section i that use a line (several for multi-pick sections)
+  const positionsWith = (i, itemId) => choicePositions(activeSections[i], choices[i]).get(itemId) || [];
+  const sectionIndex = new Map(activeSections.map((s, i) => [s.id, i]));
+  const offsets = [];
+  let next = 0;
+  choices.forEach(list => { offsets.push(next); next += list.length; });
+  const tooLarge = rules.length ? activeSections.filter((s, i) => choices[i].length > RULE_MAX_CHOICES).map(s => s.name) : [];
+  if (tooLarge.length) return { forbidden: new Map(), offsets, hides: new Map(), skipped: rules.slice(), tooLarge };
+  const forbidden = new Map();
+  const forbid = (i, a, j, b) => {
+    const x = offsets[i] + a, y = offsets[j] + b;
+    if (!forbidden.has(x)) forbidden.set(x, new Set());
+    if (!forbidden.has(y)) forbidden.set(y, new Set());
+    forbidden.get(x).add(y);
+    forbidden.get(y).add(x);
+  };
+  const hides = new Map();
+  const skipped = [];
+  for (const rule of rules) {
+    const i = where.get(rule.itemId);
+    if (i === undefined) { skipped.push(rule); continue; }
+    const from = positionsWith(i, rule.itemId);
+    if (rule.targetSectionId) {
+      const j = sectionIndex.get(rule.targetSectionId);
+      if (j === undefined || j === i) { skipped.push(rule); continue; }
+      from.forEach(a => { for (let b = 1; b < choices[j].length; b++) forbid(i, a, j, b); });
+      hides.set(rule.itemId, new Set([...(hides.get(rule.itemId) || []), rule.targetSectionId]));
+      continue;
+    }
+    const j = where.get(rule.targetItemId);
+    if (j === undefined || j === i) { skipped.push(rule); continue; }
+    const to = new Set(positionsWith(j, rule.targetItemId));
+    for (const a of from) {
+      for (let b = 0; b < choices[j].length; b++) {
+        if (rule.type === "requires" ? !to.has(b) : to.has(b)) forbid(i, a, j, b);
+      }
+    }
+  }
+  return { forbidden, offsets, hides, skipped, tooLarge };
+}
+
+/**
+ * Sections hidden in an ad by "excludes section" rules on its chosen items.
+ * @param {SectionItem[]} combo
+ * @param {CompiledRules} compiled
+ */
+function hiddenSectionIds(combo, compiled) {
+  const hidden = new Set();
+  combo.forEach(it => choiceItemIds(it).forEach(itemId => compiled.hides.get(itemId)?.forEach(id => hidden.add(id))));
+  return hidden;
+}
+
+/**
+ * Index the valid combinations (no forbidden pair) in getCombinationAt order without listing
+ * them. `at(pos)` maps the pos-th valid combination to its combination index; stepping
+ * through positions in order is cheap, random jumps are counted out section by section.
+ * `indexOf(choices)` goes the other way, and `countWith(assign, avoid)` counts the valid
+ * combinations that fix some sections (-1 marks a free one) and leave out the `avoid` values.
+ * `total`, `count`, positions and indices are BigInts; section sizes stay plain numbers.
+ * @param {number[]} sizes items per active section
+ * @param {CompiledRules | null} compiled
+ */
+function createComboSpace(sizes, compiled) {
+  const k = sizes.length;
+  const total = k ? sizes.reduce((a, b) => a * BigInt(b), 1n) : 0n;
+  const forbidden = compiled ? compiled.forbidden : new Map();
+  if (forbidden.size === 0) {
+    return {
+      sizes, total, count: total,
+      clash: () => false,
+      isValid: () => true,
+      at: (pos) => (BigInt(pos) >= 0n && BigInt(pos) < total ? BigInt(pos) : null),
+      indexOf: (choices) => indexFromChoices(choices, sizes),
+      countWith: (assign, avoid) => (k ? assign.reduce((n, v, i) => {
+        if (v >= 0) return avoid && avoid[i].has(v) ? 0n : n;
+        return n * BigInt(sizes[i] - (avoid ? avoid[i].size : 0));
+      }, 1n) : 0n),
+      completeWith: (assign) => assign.map(v => Math.max(v, 0)),
+    };
+  }
+  // dimensions past the compiled sections (the section order) have no offsets and never clash
+  const { offsets } = compiled;
+  const sectionOfCode = [];
+  sizes.forEach((n, i) => { for (let v = 0; v < n; v++) sectionOfCode.push(i); });
+  const clash = (i, a, j, b) => forbidden.get(offsets[i] + a)?.has(offsets[j] + b) || false;
+  const firstConflict = (choices) => {
+    for (let j = 1; j < k; j++) {
+      for (let i = 0; i < j; i++) if (clash(i, choices[i], j, choices[j])) return j;
+    }
+    return -1;
+  };
+  const isValid = (choices) => firstConflict(choices) === -1;
+
+  /** Number of valid combinations that agree with `assign` (-1 marks a free section) and use no `avoid` value. */
+  const count = (assign, avoid) => {
+    const fixed = [];
+    for (let i = 0; i < k; i++) {
+      if (assign[i] < 0) continue;
+      if ((avoid && avoid[i].has(assign[i])) || fixed.some(f => clash(f, assign[f], i, assign[i]))) return 0n;
+      fixed.push(i);
+    }
+    // Values of a free section with the same forbidden partners (among free sections)
+    // are interchangeable, so we only branch over those classes.
+    let factor = 1n;
+    const constrained = [];
+    for (let j = 0; j < k; j++) {
+      if (assign[j] >= 0) continue;
+      const classes = new Map();
+      for (let v = 0; v < sizes[j]; v++) {
+        if (avoid && avoid[j].has(v)) continue;
+        const partners = forbidden.get(offsets[j] + v);
+        if (partners && fixed.some(i => partners.has(offsets[i] + assign[i]))) continue;
+        const sig = partners ? [...partners].filter(c => assign[sectionOfCode[c]] < 0).sort((x, y) => x - y).join(",") : "";
+        const cls = classes.get(sig);
+        if (cls) cls.size++; else classes.set(sig, { rep: v, size: 1 });
+      }
+      if (classes.size === 0) return 0n;
+      if (classes.size === 1 && classes.has("")) factor *= BigInt(classes.get("").size);
+      else constrained.push({ j, classes: [...classes.values()] });
+    }
+    const picks = [];
+    const walk = (d) => {
+      if (d === constrained.length) return 1n;
+      const { j, classes } = constrained[d];
+      let sum = 0n;
+      for (const cls of classes) {
+        if (picks.some((p, e) => clash(constrained[e].j, p, j, cls.rep))) continue;
+        picks.push(cls.rep);
+        sum += BigInt(cls.size) * walk(d + 1);
+        picks.pop();
+      }
+      return sum;
+    };
+    return factor * walk(0);
+  };
+
+  const validCount = count(new Array(k).fill(-1));
+
+  /** Position of a valid combination: the valid combinations before it, counted section by section. */
+  const indexOf = (choices) => {
+    const assign = new Array(k).fill(-1);
+    let pos = 0n;
+    for (let i = 0; i < k; i++) {
+      for (let v = 0; v < choices[i]; v++) {
+        assign[i] = v;
+        pos += count(assign);
+      }
+      assign[i] = choices[i];
+    }
+    return pos;
+  };
+
+  const unrank = (pos) => { // pos: BigInt
+    const assign = new Array(k).fill(-1);
+    for (let i = 0; i < k; i++) {
+      for (let v = 0; v < sizes[i]; v++) {
+        assign[i] = v;
+        const c = count(assign);
+        if (pos < c) break;
+        pos -= c;
+      }
+    }
+    return assign;
+  };
+
+  // Smallest valid combination after `choices`: bump the first conflicting section and
+  // reset everything after it, which skips whole blocks of invalid combinations.
+  const nextValid = (choices) => {
+    const c = choices.slice();
+    let j = k - 1;
+    for (;;) {
+      for (let r = j + 1; r < k; r++) c[r] = 0;
+      while (j >= 0 && ++c[j] >= sizes[j]) { c[j] = 0; j--; }
+      if (j < 0) return null;
+      j = firstConflict(c);
+      if (j === -1) return c;
+    }
+  };
+
+  /** Fill the free sections of `assign` with the smallest valid completion, or null if none. */
+  const completeWith = (assign) => {
+    if (count(assign) === 0n) return null;
+    const out = assign.slice();
+    for (let i = 0; i < k; i++) {
+      if (out[i] >= 0) continue;
+      for (let v = 0; v < sizes[i]; v++) {
+        out[i] = v;
+        if (count(out) > 0n) break;
+      }
+    }
+    return out;
+  };
+
+  let cache = null;
+  const at = (n) => {
+    const pos = BigInt(n);
+    if (pos < 0n || pos >= validCount) return null;
+    let choices;
+    if (cache && pos === cache.pos) choices = cache.choices;
+    else if (cache && pos === cache.pos + 1n) choices = nextValid(cache.choices);
+    else choices = unrank(pos);
+    cache = { pos, choices };
+    return indexFromChoices(choices, sizes);
+  };
+
+  return { sizes, total, count: validCount, clash, isValid, at, indexOf, countWith: count, completeWith };
+}
+
+// ---------- Sampling ----------
+/**
+ * Deterministic PRNG (mulberry32) seeded from any string, returning floats in [0, 1).
+ * @param {string} seed
+ */
+function seededRandom(seed) {
+  let h = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let a = h >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Random integer in [0, n), using two draws so large counts stay uniform. */
+function randomInt(rand, n) {
+  const r = (Math.floor(rand() * 2 ** 21) * 2 ** 32 + Math.floor(rand() * 2 ** 32)) / 2 ** 53;
+  return Math.floor(r * n);
+}
+
+/** Uniform random BigInt in [0, n): 32 random bits at a time, redrawn when past n. */
+function randomBigInt(rand, n) {
+  const bits = n.toString(2).length;
+  for (;;) {
+    let r = 0n;
+    for (let got = 0; got < bits; got += 32) r = (r << 32n) | BigInt(Math.floor(rand() * 2 ** 32));
+    r &= (1n << BigInt(bits)) - 1n;
+    if (r < n) return r;
+  }
+}
+
+/** Order BigInt (or number) indices ascending. */
+function compareIndices(x, y) {
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/** Inverse of getCombinationAt: per-section choice positions -> combination index (a BigInt). */
+function indexFromChoices(choices, sizes) {
+  return choices.reduce((idx, c, i) => idx * BigInt(sizes[i]) + BigInt(c), 0n);
+}
+
+/** Per-section choice positions of a combination index, as getCombinationAt picks them. */
+function choicesFromIndex(index, sizes) {
+  let rest = BigInt(index);
+  const choices = [];
+  for (let i = sizes.length - 1; i >= 0; i--) {
+    choices[i] = Number(rest % BigInt(sizes[i]));
+    rest /= BigInt(sizes[i]);
+  }
+  return choices;
+}
+
+/** Shuffle a list in place (Fisher–Yates). */
+function shuffleInPlace(list, rand) {
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = randomInt(rand, i + 1);
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+/**
+ * `count` item positions from 0..n-1, dealt in shuffled rounds so each appears floor/ceil(count/n) times.
+ * With more items than cards each appears at most once, so `count` distinct ones are drawn
+ * (Floyd's algorithm) instead of shuffling all n.
+ */
+function dealBalanced(n, count, rand) {
+  if (n > count) {
+    const cards = new Set();
+    for (let j = n - count; j < n; j++) {
+      const t = randomInt(rand, j + 1);
+      cards.add(cards.has(t) ? j : t);
+    }
+    return shuffleInPlace([...cards], rand);
+  }
+  const deck = [];
+  while (deck.length < count) deck.push(...shuffleInPlace(Array.from({ length: n }, (_, i) => i), rand));
+  return deck.slice(0, count);
+}
+
+/**
+ * Pick `sampleSize` distinct valid combinations, reproducible for a given seed.
+ * With `balanced`, each section's items are dealt out evenly across the sample.
+ * @param {ReturnType<typeof createComboSpace>} space
+ * @param {GenerationSettings} settings
+ * @returns {bigint[]} ascending combination indices
+ */
+function sampleCombinationIndices(space, { sampleSize, seed, balanced }) {
+  const { sizes, count } = space;
+  if (BigInt(sampleSize) >= count) return Array.from({ length: Number(count) }, (_, pos) => space.at(pos));
+  const rand = seededRandom(seed);
+  const picked = new Set();
+  if (balanced) {
+    const decks = sizes.map(n => dealBalanced(n, sampleSize, rand));
+    const taken = (k) => {
+      const choices = decks.map(d => d[k]);
+      return !space.isValid(choices) || picked.has(indexFromChoices(choices, sizes));
+    };
+    for (let k = 0; k < sampleSize; k++) {
+      // on a collision (or a rule clash), swap one section's card with a later ad; the counts stay balanced
+      for (let attempt = 0; taken(k) && attempt < 50; attempt++) {
+        const d = randomInt(rand, sizes.length);
+        const j = k + randomInt(rand, sampleSize - k);
+        [decks[d][k], decks[d][j]] = [decks[d][j], decks[d][k]];
+      }
+      if (!taken(k)) picked.add(indexFromChoices(decks.map(d => d[k]), sizes));
+    }
+    // rare leftovers after unresolved collisions are topped up uniformly
+    while (picked.size < sampleSize) picked.add(space.at(randomBigInt(rand, count)));
+    return Array.from(picked).sort(compareIndices);
+  }
+  // Floyd's algorithm: sampleSize distinct uniform positions without a rejection loop
+  const positions = new Set();
+  for (let j = count - BigInt(sampleSize); j < count; j++) {
+    const t = randomBigInt(rand, j + 1n);
+    positions.add(positions.has(t) ? j : t);
+  }
+  return Array.from(positions).sort(compareIndices).map(pos => space.at(pos));
+}
+
+// ---------- Pairwise (all-pairs) ----------
+const PAIRWISE_CANDIDATES = 10;
+// Above this many item pairs the pair tables and the greedy search get too slow to rerun on every edit
+const PAIRWISE_MAX_PAIRS = 100000;
+
+/** How many item pairs an all-pairs set over these section sizes has to cover. */
+function pairwiseSize(sizes) {
+  let pairs = 0;
+  for (let i = 0; i < sizes.length; i++) for (let j = i + 1; j < sizes.length; j++) pairs += sizes[i] * sizes[j];
+  return pairs;
+}
+
+/**
+ * Greedy AETG-style covering set: every pair of items from two different sections that the
+ * rules allow appears together in at least one returned combination. Ties are broken by the seed.
+ * @param {ReturnType<typeof createComboSpace>} space
+ * @param {string} seed
+ * @returns {bigint[] | null} ascending combination indices, or null above PAIRWISE_MAX_PAIRS
+ */
+function pairwiseCoveringIndices(space, seed) {
+  const { sizes } = space;
+  const k = sizes.length;
+  if (k === 0 || space.count === 0n) return [];
+  if (pairwiseSize(sizes) > PAIRWISE_MAX_PAIRS) return null;
+  if (k === 1) return Array.from({ length: Number(space.count) }, (_, pos) => space.at(pos));
+  const rand = seededRandom(seed);
+  // covered[i][j] (i < j) is a flat sizes[i] x sizes[j] table of pairs already in the set
+  const covered = sizes.map((ni, i) => sizes.map((nj, j) => (j > i ? new Uint8Array(ni * nj) : null)));
+  const cell = (i, a, j, b) => (i < j ? [covered[i][j], a * sizes[j] + b] : [covered[j][i], b * sizes[i] + a]);
+  const isNew = (i, a, j, b) => { const [t, at] = cell(i, a, j, b); return t[at] === 0; };
+  let uncovered = 0;
+  for (let i = 0; i < k; i++) {
+    for (let j = i + 1; j < k; j++) {
+      // pairs the rules forbid are treated as already covered
+      for (let a = 0; a < sizes[i]; a++) {
+        for (let b = 0; b < sizes[j]; b++) {
+          if (space.clash(i, a, j, b)) covered[i][j][a * sizes[j] + b] = 1; else uncovered++;
+        }
+      }
+    }
+  }
+
+  // cursor over the pair tables; pairs only ever become covered, so it never moves back
+  let ci = 0, cj = 1, cpos = 0;
+  const nextUncovered = () => {
+    for (; ci < k; ci++, cj = ci + 1, cpos = 0) {
+      for (; cj < k; cj++, cpos = 0) {
+        const t = covered[ci][cj];
+        for (; cpos < t.length; cpos++) {
+          if (t[cpos] === 0) return [ci, Math.floor(cpos / sizes[cj]), cj, cpos % sizes[cj]];
+        }
+      }
+    }
+    return null;
+  };
+
+  const countNew = (row) => {
+    let gain = 0;
+    for (let i = 0; i < k; i++) for (let j = i + 1; j < k; j++) if (isNew(i, row[i], j, row[j])) gain++;
+    return gain;
+  };
+
+  const picked = [];
+  while (uncovered > 0) {
+    const [si, sa, sj, sb] = nextUncovered();
+    let best = null, bestGain = 0;
+    for (let c = 0; c < PAIRWISE_CANDIDATES; c++) {
+      const row = new Array(k).fill(-1);
+      row[si] = sa; row[sj] = sb;
+      const order = Array.from({ length: k }, (_, i) => i).filter(i => i !== si && i !== sj);
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = randomInt(rand, i + 1);
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      for (const f of order) {
+        let bestVal = -1, bestScore = -1;
+        for (let v = 0; v < sizes[f]; v++) {
+          if (row.some((w, g) => w >= 0 && space.clash(f, v, g, w))) continue;
+          let score = 0;
+          for (let g = 0; g < k; g++) if (row[g] >= 0 && isNew(f, v, g, row[g])) score++;
+          if (score > bestScore || (score === bestScore && rand() < 0.5)) { bestVal = v; bestScore = score; }
+        }
+        row[f] = bestVal;
+        if (bestVal < 0) break;
+      }
+      if (row.some(v => v < 0)) continue;
+      const gain = countNew(row);
+      if (gain > bestGain) { best = row; bestGain = gain; }
+    }
+    if (!best) {
+      // greedy filling hit a dead end: take any valid combination with the seed pair, if one exists
+      const assign = new Array(k).fill(-1);
+      assign[si] = sa; assign[sj] = sb;
+      best = space.completeWith(assign);
+      if (!best) {
+        const [t, at] = cell(si, sa, sj, sb);
+        t[at] = 1; uncovered--;
+        continue;
+      }
+    }
+    for (let i = 0; i < k; i++) {
+      for (let j = i + 1; j < k; j++) {
+        const [t, at] = cell(i, best[i], j, best[j]);
+        if (t[at] === 0) { t[at] = 1; uncovered--; }
+      }
+    }
+    picked.push(indexFromChoices(best, sizes));
+  }
+  return picked.sort(compareIndices);
+}
+
+// ---------- Platform limits ----------
+// Hard character limits per platform. `adLimit` applies to a whole composed ad, `lineLimit`
+// to every line in it (for Google RSA each line is a headline or description).
+const PLATFORM_PROFILES = [
+  { id: "none", label: "No limits" },
+  { id: "meta", label: "Meta primary text (125 before “See more”)", adLimit: 125 },
+  { id: "google-headline", label: "Google RSA headlines (30 per line)", lineLimit: 30 },
+  { id: "google-description", label: "Google RSA descriptions (90 per line)", lineLimit: 90 },
+  { id: "custom", label: "Custom" },
+];
+
+/**
+ * The limits in force for the chosen profile (0 = no limit).
+ * @param {LimitSettings} settings
+ * @returns {{ adLimit: number, lineLimit: number }}
+ */
+function activeLimits(settings) {
+  if (settings.profile === "custom") return { adLimit: settings.adLimit, lineLimit: settings.lineLimit };
+  const profile = PLATFORM_PROFILES.find(p => p.id === settings.profile);
+  return { adLimit: profile?.adLimit || 0, lineLimit: profile?.lineLimit || 0 };
+}
+
+/** Characters as platforms count them (emoji and accented letters count once). */
+function charCount(text) {
+  return Array.from(text).length;
+}
+
+/**
+ * Describe how an ad breaks the limits; empty when it complies.
+ * @param {string} text the composed ad
+ * @param {string[]} lines the lines it's built from
+ * @param {{ adLimit: number, lineLimit: number }} limits
+ * @returns {string[]}
+ */
+function limitViolations(text, lines, limits) {
+  const out = [];
+  const length = charCount(text.trim());
+  if (limits.adLimit && length > limits.adLimit) out.push(`${length}/${limits.adLimit} characters`);
+  if (limits.lineLimit) {
+    lines.forEach(line => {
+      const n = charCount(line.trim());
+      if (n > limits.lineLimit) out.push(`“${shorten(line.trim(), 24)}” is ${n}/${limits.lineLimit}`);
+    });
+  }
+  return out;
+}
+
+// ---------- Google Ads export ----------
+// Responsive search ads for Google Ads Editor: each section feeds one RSA field. Every line a
+// headline/description section contributes (several for multi-pick sections) is its own asset.
+const GOOGLE_RSA_FIELDS = [
+  { id: "none", label: "Not used" },
+  { id: "headline", label: "Headlines" },
+  { id: "description", label: "Descriptions" },
+  { id: "finalUrl", label: "Final URL" },
+  { id: "path1", label: "Path 1" },
+  { id: "path2", label: "Path 2" },
+];
+const GOOGLE_RSA = { headlines: [3, 15], descriptions: [2, 4], headlineLength: 30, descriptionLength: 90, pathLength: 15 };
+const GOOGLE_RSA_COLUMNS = [
+  "Campaign", "Ad group", "Ad type",
+  ...Array.from({ length: GOOGLE_RSA.headlines[1] }, (_, i) => `Headline ${i + 1}`),
+  ...Array.from({ length: GOOGLE_RSA.descriptions[1] }, (_, i) => `Description ${i + 1}`),
+  "Final URL", "Path 1", "Path 2",
+];
+
+/**
+ * One Google Ads Editor row for an ad, plus anything Google would reject.
+ * @param {{ sectionId: string, text: string }[]} parts the ad's lines by section
+ * @param {GoogleAdsSettings} settings
+ * @returns {{ row: string[], problems: string[] }}
+ */
+function googleRsaRow(parts, settings) {
+  const byField = { headline: [], description: [], finalUrl: [], path1: [], path2: [] };
+  parts.forEach(({ sectionId, text }) => {
+    const field = settings.fields[sectionId];
+    if (!byField[field]) return;
+    byField[field].push(...text.split("\n").map(t => t.trim()).filter(Boolean));
+  });
+  const headlines = byField.headline, descriptions = byField.description;
+  const finalUrl = byField.finalUrl[0] || settings.finalUrl.trim();
+  const path1 = byField.path1[0] || settings.path1.trim();
+  const path2 = byField.path2[0] || settings.path2.trim();
+  const problems = [];
+  const [minH, maxH] = GOOGLE_RSA.headlines, [minD, maxD] = GOOGLE_RSA.descriptions;
+  if (headlines.length < minH || headlines.length > maxH) problems.push(`${headlines.length} headlines (needs ${minH}–${maxH})`);
+  if (descriptions.length < minD || descriptions.length > maxD) problems.push(`${descriptions.length} descriptions (needs ${minD}–${maxD})`);
+  headlines.forEach(h => { if (charCount(h) > GOOGLE_RSA.headlineLength) problems.push(`headline “${shorten(h, 24)}” is ${charCount(h)}/${GOOGLE_RSA.headlineLength}`); });
+  descriptions.forEach(d => { if (charCount(d) > GOOGLE_RSA.descriptionLength) problems.push(`description “${shorten(d, 24)}” is ${charCount(d)}/${GOOGLE_RSA.descriptionLength}`); });
+  if (new Set(headlines.map(h => h.toLowerCase())).size < headlines.length) problems.push("repeats a headline");
+  if (!/^https?:\/\/\S+\.\S+/i.test(finalUrl)) problems.push(finalUrl ? `final URL “${shorten(finalUrl, 32)}” isn’t a web address` : "no final URL");
+  [path1, path2].forEach((path, i) => { if (charCount(path) > GOOGLE_RSA.pathLength) problems.push(`path ${i + 1} is ${charCount(path)}/${GOOGLE_RSA.pathLength}`); });
+  if (path2 && !path1) problems.push("path 2 is set without path 1");
+  const pad = (list, n) => Array.from({ length: n }, (_, i) => list[i] || "");
+  const row = [
+    settings.campaign.trim(), settings.adGroup.trim(), "Responsive search ad",
+    ...pad(headlines, maxH), ...pad(descriptions, maxD),
+    finalUrl, path1, path2,
+  ];
+  return { row, problems };
+}
+
+// ---------- Meta Ads export ----------
+// Rows in the Ads Manager bulk import layout. Sections feeding the same text field are joined;
+// CTA and link sections use their first line.
+const META_FIELDS = [
+  { id: "none", label: "Not used" },
+  { id: "primaryText", label: "Primary text" },
+  { id: "headline", label: "Headline" },
+  { id: "description", label: "Description" },
+  { id: "cta", label: "Call to action" },
+  { id: "link", label: "Link" },
+];
+// Call-to-action types Ads Manager accepts in bulk import
+const META_CTA_TYPES = [
+  "APPLY_NOW", "BOOK_TRAVEL", "CALL_NOW", "CONTACT_US", "DONATE_NOW", "DOWNLOAD", "GET_OFFER", "GET_QUOTE",
+  "GET_SHOWTIMES", "INSTALL_MOBILE_APP", "LEARN_MORE", "LISTEN_NOW", "MESSAGE_PAGE", "NO_BUTTON", "ORDER_NOW",
+  "PLAY_GAME", "REQUEST_TIME", "SEE_MENU", "SHOP_NOW", "SIGN_UP", "SUBSCRIBE", "WATCH_MORE", "WHATSAPP_MESSAGE",
+];
+// Lengths Meta shows without cutting the text off
+const META_LENGTHS = { primaryText: 125, headline: 40, description: 30 };
+const META_COLUMNS = ["Campaign Name", "Ad Set Name", "Ad Name", "Body", "Title", "Link Description", "Call to Action", "Link"];
+
+/** "Learn more" or "learn-more" → "LEARN_MORE". */
+function normalizeCta(text) {
+  return text.trim().toUpperCase().replace(/[\s-]+/g, "_");
+}
+
+/**
+ * One bulk import row for an ad. `errors` keep the row out of the file; `warnings` only get reported.
+ * @param {{ sectionId: string, text: string }[]} parts the ad's lines by section
+ * @param {MetaAdsSettings} settings
+ * @param {string} adName
+ * @returns {{ row: string[], errors: string[], warnings: string[] }}
+ */
+function metaAdRow(parts, settings, adName) {
+  const byField = { primaryText: [], headline: [], description: [], cta: [], link: [] };
+  parts.forEach(({ sectionId, text }) => {
+    const field = settings.fields[sectionId];
+    if (byField[field] && text.trim()) byField[field].push(text.trim());
+  });
+  const firstLine = (list) => (list[0] || "").split("\n")[0].trim();
+  const fields = {
+    primaryText: byField.primaryText.join("\n\n"),
+    headline: byField.headline.join(" "),
+    description: byField.description.join(" "),
+  };
+  const ctaText = firstLine(byField.cta) || settings.cta;
+  const cta = normalizeCta(ctaText);
+  const link = firstLine(byField.link) || settings.link.trim();
+  const errors = [];
+  const warnings = [];
+  if (!fields.primaryText) errors.push("no primary text");
+  if (!META_CTA_TYPES.includes(cta)) errors.push(`call to action “${shorten(ctaText, 24)}” isn’t a Meta CTA type`);
+  if (!/^https?:\/\/\S+\.\S+/i.test(link)) errors.push(link ? `link “${shorten(link, 32)}” isn’t a web address` : "no link");
+  Object.entries(META_LENGTHS).forEach(([field, max]) => {
+    const n = charCount(fields[field]);
+    if (n > max) warnings.push(`${META_FIELDS.find(f => f.id === field).label.toLowerCase()} is ${n}/${max}`);
+  });
+  const row = [settings.campaign.trim(), settings.adSet.trim(), adName, fields.primaryText, fields.headline, fields.description, cta, link];
+  return { row, errors, warnings };
+}
+
+// ---------- Background ZIP export ----------
+// Only the zipping runs in a worker. Ad texts are still built on the page, one batch at a time,
+// and each batch waits for the worker's reply, so the page repaints (and can cancel) in between.
+
+const ZIP_BATCH = 250; // ads per message to the writer
+// An archive is closed and downloaded once it passes this size, and the export goes on in a
+// new part, so the worker never holds more than about one archive's worth of bytes
+const ZIP_ARCHIVE_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * @typedef {{ file: string, number: number, adId: string, recipe: string, order: string, itemIds: Record<string, string>, excludedSections: string[], edited: boolean, status: ReviewStatus }} ZipManifestEntry
+ */
+
+/** @returns {ZipSettings} One archive, no folders. */
+function defaultZipSettings() {
+  return { folderSectionId: "", filesPerArchive: 0 };
+}
+
+/**
+ * The manifest.json and manifest.csv added to every archive: one entry per file with the line
+ * each section gave the ad (by item ID), the sections left out of it and whether it was edited.
+ * @param {ZipManifestEntry[]} entries
+ * @param {Section[]} sections
+ * @param {number} part  archive number when the export is split, else 0
+ * @returns {{ name: string, text: string }[]}
+ */
+function zipManifestFiles(entries, sections, part) {
+  const json = { format: "ad-variations-builder/zip-manifest", exportedAt: new Date().toISOString(), ...(part ? { part } : {}), sections: sections.map(sec => ({ id: sec.id, name: sec.name })), files: entries };
+  const rows = [
+    ["File", "Ad #", "Ad ID", "Recipe", "Order", ...sections.map(sec => `${sec.name} item ID`), "Excluded sections", "Edited", "Status"],
+    ...entries.map(e => [e.file, String(e.number), e.adId, e.recipe, e.order, ...sections.map(sec => e.itemIds[sec.id] || ""), e.excludedSections.join("; "), e.edited ? "yes" : "no", e.status]),
+  ];
+  return [{ name: "manifest.json", text: JSON.stringify(json, null, 2) }, { name: "manifest.csv", text: toCsv(rows) }];
+}
+
+/**
+ * The ZIP writer that runs inside the worker. It is stringified into its own script, so it
+ * must not touch anything outside its own body (and avoids syntax that needs Babel helpers).
+ * Files are stored uncompressed; central-directory entries are the only per-file state kept.
+ * Offsets and sizes from `zip32Max` up get ZIP64 fields; only the tests lower it from 4 GB.
+ */
+function zipWorkerMain(scope, zip32Max) {
+  var FLUSH_BYTES = 4 * 1024 * 1024;
+  var ZIP32_MAX = zip32Max || 0xffffffff;
+  var crcTable = new Uint32Array(256);
+  for (var n = 0; n < 256; n++) {
+    var c = n;
+    for (var k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    crcTable[n] = c >>> 0;
+  }
+  function crc32(bytes) {
+    var crc = 0xffffffff;
+    for (var i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+  // TextEncoder is not available everywhere this may run, and UTF-8 is short to write out
+  function utf8(text) {
+    var out = new Uint8Array(text.length * 3);
+    var len = 0;
+    for (var i = 0; i < text.length; i++) {
+      var code = text.codePointAt(i);
+      if (code > 0xffff) i++;
+      if (code < 0x80) out[len++] = code;
+      else if (code < 0x800) {
+        out[len++] = 0xc0 | (code >> 6);
+        out[len++] = 0x80 | (code & 63);
+      } else if (code < 0x10000) {
+        out[len++] = 0xe0 | (code >> 12);
+        out[len++] = 0x80 | ((code >> 6) & 63);
+        out[len++] = 0x80 | (code & 63);
+      } else {
+        out[len++] = 0xf0 | (code >> 18);
+        out[len++] = 0x80 | ((code >> 12) & 63);
+        out[len++] = 0x80 | ((code >> 6) & 63);
+        out[len++] = 0x80 | (code & 63);
+      }
+    }
+    return out.slice(0, len);
+  }
+  var now = new Date();
+  var dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  var dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  var flushed = []; // Blobs: the browser may keep these out of the JS heap
+  var pending = [];
+  var pendingBytes = 0;
+  var offset = 0;
+  var entries = [];
+
+  function write(bytes) {
+    pending.push(bytes);
+    pendingBytes += bytes.length;
+    offset += bytes.length;
+    if (pendingBytes >= FLUSH_BYTES) flush();
+  }
+  function flush() {
+    if (pending.length) flushed.push(new Blob(pending));
+    pending = [];
+    pendingBytes = 0;
+  }
+  function record(size) {
+    var bytes = new Uint8Array(size);
+    return { bytes: bytes, view: new DataView(bytes.buffer) };
+  }
+  function addFile(name, text) {
+    var nameBytes = utf8(name);
+    var data = utf8(text);
+    var crc = crc32(data);
+    var h = record(30 + nameBytes.length);
+    var v = h.view;
+    v.setUint32(0, 0x04034b50, true);
+    v.setUint16(4, 20, true);
+    v.setUint16(6, 0x0800, true); // names are UTF-8
+    v.setUint16(8, 0, true); // stored
+    v.setUint16(10, dosTime, true);
+    v.setUint16(12, dosDate, true);
+    v.setUint32(14, crc, true);
+    v.setUint32(18, data.length, true);
+    v.setUint32(22, data.length, true);
+    v.setUint16(26, nameBytes.length, true);
+    h.bytes.set(nameBytes, 30);
+    entries.push({ nameBytes: nameBytes, crc: crc, size: data.length, offset: offset });
+    write(h.bytes);
+    write(data);
+  }
+  function setUint64(view, at, value) {
+    view.setUint32(at, value % 0x100000000, true);
+    view.setUint32(at + 4, Math.floor(value / 0x100000000), true);
+  }
+  function finish() {
+    var start = offset;
+    for (var i = 0; i < entries.length; i++) {
+      var e = entries[i];
+      var far = e.offset >= ZIP32_MAX; // the local header starts past 4 GB: offset goes in a ZIP64 extra field
+      var nameLength = e.nameBytes.length;
+      var h = record(46 + nameLength + (far ? 12 : 0));
+      var v = h.view;
+      v.setUint32(0, 0x02014b50, true);
+      v.setUint16(4, far ? 45 : 20, true);
+      v.setUint16(6, far ? 45 : 20, true);
+      v.setUint16(8, 0x0800, true);
+      v.setUint16(12, dosTime, true);
+      v.setUint16(14, dosDate, true);
+      v.setUint32(16, e.crc, true);
+      v.setUint32(20, e.size, true);
+      v.setUint32(24, e.size, true);
+      v.setUint16(28, nameLength, true);
+      v.setUint16(30, far ? 12 : 0, true);
+      v.setUint32(42, far ? 0xffffffff : e.offset, true);
+      h.bytes.set(e.nameBytes, 46);
+      if (far) {
+        v.setUint16(46 + nameLength, 0x0001, true);
+        v.setUint16(48 + nameLength, 8, true);
+        setUint64(v, 50 + nameLength, e.offset);
+      }
+      write(h.bytes);
+    }
+    var size = offset - start;
+    var count = entries.length;
+    var zip64 = count > 0xffff || size >= ZIP32_MAX || start >= ZIP32_MAX;
+    if (zip64) {
+      // ZIP64 end records, needed past 65,535 files or 4 GB
+      var z = record(56 + 20);
+      var zv = z.view;
+      zv.setUint32(0, 0x06064b50, true);
+      setUint64(zv, 4, 44);
+      zv.setUint16(12, 45, true);
+      zv.setUint16(14, 45, true);
+      setUint64(zv, 24, count);
+      setUint64(zv, 32, count);
+      setUint64(zv, 40, size);
+      setUint64(zv, 48, start);
+      zv.setUint32(56, 0x07064b50, true);
+      setUint64(zv, 64, offset);
+      zv.setUint32(72, 1, true);
+      write(z.bytes);
+    }
+    var end = record(22);
+    var ev = end.view;
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(8, Math.min(count, 0xffff), true);
+    ev.setUint16(10, Math.min(count, 0xffff), true);
+    ev.setUint32(12, size >= ZIP32_MAX ? 0xffffffff : size, true);
+    ev.setUint32(16, start >= ZIP32_MAX ? 0xffffffff : start, true);
+    write(end.bytes);
+    flush();
+    return new Blob(flushed, { type: "application/zip" });
+  }
+
+  scope.onmessage = function (event) {
+    var msg = event.data;
+    if (msg.type === "files") {
+      for (var i = 0; i < msg.files.length; i++) addFile(msg.files[i].name, msg.files[i].text);
+      scope.postMessage({ type: "ack", count: entries.length, bytes: offset });
+    } else if (msg.type === "finish") {
+      scope.postMessage({ type: "done", blob: finish() });
+    }
+  };
+}
+
+/**
+ * Start a ZIP writer: a real worker where the browser has them, otherwise the same code on
+ * this thread (still batched, so the page gets a chance to repaint between batches).
+ * Terminating a writer rejects the request it is still working on (see askZipWriter).
+ * @returns {{ postMessage: (msg: object) => void, terminate: () => void, onmessage: Function | null, onerror: Function | null, abort: Function | null }}
+ */
+function createZipWriter() {
+  if (typeof Worker !== "undefined" && typeof URL.createObjectURL === "function") {
+    try {
+      const url = URL.createObjectURL(new Blob([`(${zipWorkerMain.toString()})(self);`], { type: "text/javascript" }));
+      const worker = new Worker(url);
+      const terminate = worker.terminate.bind(worker);
+      worker.abort = null;
+      worker.terminate = () => { terminate(); URL.revokeObjectURL(url); if (worker.abort) worker.abort(); };
+      return worker;
+    } catch (_) {}
+  }
+  const writer = { onmessage: null, onerror: null, abort: null, terminate: () => { if (writer.abort) writer.abort(); } };
+  const scope = { onmessage: null, postMessage: (data) => setTimeout(() => writer.onmessage && writer.onmessage({ data }), 0) };
+  zipWorkerMain(scope);
+  writer.postMessage = (data) => {
+    try { scope.onmessage({ data }); } catch (err) { if (writer.onerror) writer.onerror(err); }
+  };
+  return writer;
+}
+
+/** Send one message to a ZIP writer and wait for its reply (or for the writer to be terminated). */
+function askZipWriter(writer, msg) {
+  return new Promise((resolve, reject) => {
+    const settle = (fn) => (value) => { writer.abort = null; fn(value); };
+    writer.onmessage = settle(event => resolve(event.data));
+    writer.onerror = settle(reject);
+    writer.abort = settle(() => reject(new Error("The ZIP writer was stopped")));
+    writer.postMessage(msg);
+  });
+}
+
+// ---------- File names ----------
+// Exported files are named from a template such as "{index}_{section:Hook:slug}". Tokens that
+// come out empty leave no doubled separators behind, and the result is made safe on every OS.
+const DEFAULT_FILE_NAME_TEMPLATE = "{index}_{flag}_{recipe:slug}_{first:slug}";
+const FILE_NAME_TOKENS = [
+  { name: "index", hint: "export number, zero-padded" },
+  { name: "first", hint: "the ad’s first line" },
+  { name: "section", arg: true, hint: "the line used from a section, e.g. {section:Hook}" },
+  { name: "itemId", arg: true, hint: "that line’s id, e.g. {itemId:CTA}" },
+  { name: "recipe", hint: "recipe name" },
+  { name: "status", hint: "review status" },
+  { name: "flag", hint: "“over-limit” when the ad is flagged" },
+  { name: "date", hint: "export date, YYYY-MM-DD" },
+];
+// Options follow the token: {first:slug}, {section:Hook:upper:20}. A number cuts to that many characters.
+const FILE_NAME_OPTIONS = ["slug", "lower", "upper"];
+const RESERVED_FILE_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i; // Windows refuses these whatever the extension
+
+/**
+ * @typedef {{ token: string, sectionId?: string, options: string[] }} FileNameToken
+ * @typedef {{ index: string, first: string, recipe: string, status: string, flag: string, date: string, lines: Map<string, { text: string, itemId: string }> }} FileNameFields
+ */
+
+/** @returns {FileNameSettings} */
+function defaultFileNameSettings() {
+  return { template: DEFAULT_FILE_NAME_TEMPLATE, maxLength: 120 };
+}
+
+/**
+ * Split a file-name template into text and tokens. Section tokens name their section, matched
+ * without case.
+ * @param {string} template
+ * @param {Section[]} sections
+ * @returns {{ parts: Array<string | FileNameToken>, errors: string[] }}
+ */
+function parseFileNameTemplate(template, sections) {
+  const parts = [];
+  const errors = [];
+  let last = 0;
+  for (const m of template.matchAll(/\{([^{}]*)\}/g)) {
+    if (m.index > last) parts.push(template.slice(last, m.index));
+    last = m.index + m[0].length;
+    const [name, ...options] = m[1].split(":").map(s => s.trim());
+    const spec = FILE_NAME_TOKENS.find(t => t.name.toLowerCase() === name.toLowerCase());
+    if (!spec) { errors.push(`${m[0]} is not a token`); continue; }
+    /** @type {FileNameToken} */
+    const part = { token: spec.name, options };
+    if (spec.arg) {
+      const arg = options.shift();
+      const section = arg && sections.find(s => s.name.trim().toLowerCase() === arg.toLowerCase());
+      if (!arg) { errors.push(`${m[0]} needs a section name, e.g. {${spec.name}:Hook}`); continue; }
+      if (!section) { errors.push(`${m[0]}: there is no section called “${arg}”`); continue; }
+      part.sectionId = section.id;
+    }
+    const bad = options.find(o => !FILE_NAME_OPTIONS.includes(o.toLowerCase()) && !/^\d+$/.test(o));
+    if (bad) { errors.push(`${m[0]}: “${bad}” is not an option (use slug, lower, upper or a length)`); continue; }
+    parts.push(part);
+  }
+  if (last < template.length) parts.push(template.slice(last));
+  if (parts.some(p => typeof p === "string" && /[{}]/.test(p))) errors.push("The template has an unmatched { or }");
+  return { parts, errors };
+}
+
+/**
+ * Fill in a parsed template for one ad. The result still needs safeFileName.
+ * @param {Array<string | FileNameToken>} parts
+ * @param {FileNameFields} fields
+ */
+function renderFileName(parts, fields) {
+  return parts.map(p => {
+    if (typeof p === "string") return p;
+    const line = p.sectionId && fields.lines.get(p.sectionId);
+    let value = p.sectionId ? (line ? (p.token === "itemId" ? line.itemId : line.text) : "") : fields[p.token] || "";
+    p.options.forEach(o => {
+      const opt = o.toLowerCase();
+      if (opt === "slug") value = value.trim() ? normalizeFileName(value) : "";
+      else if (opt === "lower") value = value.toLowerCase();
+      else if (opt === "upper") value = value.toUpperCase();
+      else value = Array.from(value).slice(0, Number(opt)).join("");
+    });
+    return value;
+  }).join("");
+}
+
+/**
+ * Make a name safe to save anywhere: path and control characters become "-", runs of the same
+ * separator left by empty tokens collapse, and it is cut to `max` characters. Never empty.
+ * @param {string} name
+ * @param {number} max
+ */
+function safeFileName(name, max) {
+  const tidy = (s) => s.replace(/([-_. ])\1+/g, "$1").replace(/^[-_. ]+|[-_. ]+$/g, "");
+  let clean = tidy(name.replace(/[<>:"/\\|?*]|\p{Cc}/gu, "-").replace(/\s+/g, " "));
+  clean = tidy(Array.from(clean).slice(0, Math.max(1, max)).join("")) || "ad";
+  return RESERVED_FILE_NAMES.test(clean.split(".")[0]) ? `${clean}_` : clean;
+}
+
+/**
+ * Name the files of one export. A name an earlier file already has (compared without case, as
+ * Windows and macOS do) is numbered "-2", "-3"…, still within the length limit.
+ * @param {Array<string | FileNameToken>} parts
+ * @param {number} max
+ * @returns {((fields: FileNameFields, ext: string) => string) & { renamed: () => number }}
+ */
+function fileNamer(parts, max) {
+  const used = new Set();
+  const next = new Map();
+  let renamed = 0;
+  const name = (fields, ext) => {
+    const base = safeFileName(renderFileName(parts, fields), max);
+    let candidate = base;
+    for (let n = next.get(base.toLowerCase()) || 2; used.has(`${candidate}.${ext}`.toLowerCase()); n++) {
+      const suffix = `-${n}`;
+      candidate = `${Array.from(base).slice(0, Math.max(1, max - suffix.length)).join("").replace(/[-_. ]+$/, "")}${suffix}`;
+      next.set(base.toLowerCase(), n + 1);
+    }
+    if (candidate !== base) renamed++;
+    used.add(`${candidate}.${ext}`.toLowerCase());
+    return `${candidate}.${ext}`;
+  };
+  name.renamed = () => renamed;
+  return name;
+}
+
+// ---------- Duplicates ----------
+// Lines compare without case, punctuation or extra spaces, so "Ready?" and "ready" are the same
+// line. Near duplicates are lines within a few edits of each other ("two bodies that differ by a word").
+const NEAR_DUPLICATE_SIMILARITY = 0.9;
+const DUPLICATE_AD_SCAN = 2000; // ads composed when looking for repeated ad text
+
+/**
+ * @typedef {{ lines: ({ section: Section, kind: "exact" | "near", items: SectionItem[] })[], ads: { text: string, positions: number[] }[], scanned: number, from: object }} DuplicateReport
+ */
+
+/** @param {string} text */
+function duplicateKey(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, "").replace(/\s+/g, " ").trim();
+}
+
+/** Levenshtein distance between two strings, or Infinity as soon as it must be over `max`. */
+function editDistanceWithin(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (row[j] < best) best = row[j];
+    }
+    if (best > max) return Infinity;
+    prev = row;
+  }
+  return prev[b.length] <= max ? prev[b.length] : Infinity;
+}
+
+/**
+ * Group a section's lines that read the same ("exact") or nearly the same ("near").
+ * Blank lines are left out; groups keep the lines' order, so the first is the one to keep.
+ * @param {SectionItem[]} items
+ * @returns {{ kind: "exact" | "near", items: SectionItem[] }[]}
+ */
+function duplicateLineGroups(items, similarity = NEAR_DUPLICATE_SIMILARITY) {
+  const keys = items.map(it => duplicateKey(it.text));
+  const parent = items.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < items.length; i++) {
+    if (!keys[i]) continue;
+    for (let j = i + 1; j < items.length; j++) {
+      if (!keys[j] || find(i) === find(j)) continue;
+      const max = Math.floor((1 - similarity) * Math.max(keys[i].length, keys[j].length));
+      if (keys[i] === keys[j] || editDistanceWithin(keys[i], keys[j], max) <= max) parent[find(j)] = find(i);
+    }
+  }
+  const groups = new Map();
+  items.forEach((it, i) => {
+    if (!keys[i]) return;
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+  return Array.from(groups.values())
+    .filter(g => g.length > 1)
+    .map(g => ({ kind: g.every(i => keys[i] === keys[g[0]]) ? "exact" : "near", items: g.map(i => items[i]) }));
+}
+
+/**
+ * Merge duplicate lines into the first of them: the others are deleted and rules that named
+ * them point at the kept line instead (rules that end up identical are dropped).
+ * @param {EditorDoc} doc
+ * @param {string} keepId
+ * @param {string[]} dropIds
+ * @returns {EditorDoc}
+ */
+function mergeLines(doc, keepId, dropIds) {
+  const drop = new Set(dropIds);
+  const swap = (id) => (drop.has(id) ? keepId : id);
+  const seen = new Set();
+  const rules = doc.rules
+    .map(r => ({ ...r, itemId: swap(r.itemId), ...(r.targetItemId ? { targetItemId: swap(r.targetItemId) } : {}) }))
+    .filter(r => {
+      const sig = `${r.itemId}|${r.type}|${r.targetItemId || ""}|${r.targetSectionId || ""}`;
+      if (r.itemId === r.targetItemId || seen.has(sig)) return false;
+      seen.add(sig);
+      return true;
+    });
+  return {
+    ...doc,
+    sections: doc.sections.map(s => (s.items.some(it => drop.has(it.id)) ? { ...s, items: s.items.filter(it => !drop.has(it.id)) } : s)),
+    rules,
+  };
+}
+
+// ---------- Performance data ----------
+// A campaign report (CSV/TSV, one row per ad) is matched to ads by the "Ad ID" the traceable
+// exports write, or else by the ad's text. Each matched row is kept with the lines the ad used,
+// so results can be added up per line and per section.
+const PERFORMANCE_METRICS = [
+  { id: "impressions", label: "Impressions", header: /^impr(ession)?s?\b/i },
+  { id: "clicks", label: "Clicks", header: /^(link )?clicks?\b/i },
+  { id: "ctr", label: "CTR", header: /\bctr\b|click.?through/i },
+  { id: "conversions", label: "Conversions", header: /^(conv(ersion)?s?|results|purchases|leads)\b/i },
+  { id: "cpa", label: "CPA", header: /\bcpa\b|cost per (result|conv|acquisition|purchase|lead)|cost ?\/ ?conv/i },
+  { id: "spend", label: "Spend", header: /spend|^cost\b|amount spent/i },
+];
+const PERFORMANCE_TEXT_SCAN = 20000; // ads composed to match rows by text
+
+/**
+ * @typedef {{ impressions?: number, clicks?: number, ctr?: number, conversions?: number, cpa?: number, spend?: number }} AdMetrics
+ * @typedef {{ id: string, itemIds: string[], metrics: AdMetrics }} PerformanceRecord
+ * @typedef {{ fileName: string, importedAt: string, records: PerformanceRecord[] }} PerformanceData
+ */
+
+/**
+ * A report number: currency signs, spaces and "%" are ignored, and "(12.50)" is negative.
+ * With both "," and "." the later one is the decimal point ("1.234,56", "1,234.56"); a lone
+ * "," is a decimal comma unless groups of three digits follow ("2,5" but "1,000"). NaN if blank.
+ */
+function parseMetricNumber(text) {
+  const raw = String(text).trim();
+  let clean = raw.replace(/[^\d.,-]/g, "");
+  if (!/\d/.test(clean)) return NaN;
+  const comma = clean.lastIndexOf(","), dot = clean.lastIndexOf(".");
+  if (comma >= 0 && dot >= 0) clean = comma > dot ? clean.replace(/\./g, "").replace(",", ".") : clean.replace(/,/g, "");
+  else if (comma >= 0) clean = /^-?\d{1,3}(,\d{3})+$/.test(clean) ? clean.replace(/,/g, "") : clean.replace(",", ".");
+  else if (clean.indexOf(".") !== dot) clean = clean.replace(/\./g, ""); // "1.234.567"
+  const n = Number(clean);
+  return /^\(.*\)$/.test(raw) ? -n : n;
+}
+
+/**
+ * Which report columns hold the ad ID, the ad text and each metric (-1 when missing).
+ * @param {string[]} header
+ */
+function performanceColumns(header) {
+  const find = (test) => header.findIndex(h => test(h.trim()));
+  const metrics = {};
+  const taken = new Set();
+  PERFORMANCE_METRICS.forEach(m => {
+    const at = header.findIndex((h, i) => !taken.has(i) && m.header.test(h.trim()) && !(m.id === "spend" && /cost per/i.test(h)));
+    if (at >= 0) { metrics[m.id] = at; taken.add(at); }
+  });
+  return {
+    id: find(h => /^ad ?id$/i.test(h)),
+    text: find(h => /^(final text|ad text|text|primary text)$/i.test(h)),
+    metrics,
+  };
+}
+
+/**
+ * One report row's metrics. CTR is read as a percentage, as ad platforms report it.
+ * Missing counts are worked out from the rates where possible.
+ * @returns {AdMetrics}
+ */
+function readMetrics(row, columns) {
+  /** @type {AdMetrics} */
+  const m = {};
+  Object.entries(columns).forEach(([id, at]) => {
+    const n = parseMetricNumber(row[at] ?? "");
+    if (Number.isFinite(n)) m[id] = id === "ctr" ? n / 100 : n;
+  });
+  if (m.clicks === undefined && m.ctr !== undefined && m.impressions !== undefined) m.clicks = m.ctr * m.impressions;
+  if (m.conversions === undefined && m.cpa > 0 && m.spend !== undefined) m.conversions = m.spend / m.cpa;
+  return m;
+}
+
+/** The lines behind an ad ID (its override key): omissions, orders and recipes aren't lines. */
+function adItemIds(id) {
+  return id.split("|").filter(part => part && !/^(omit|order|recipe):/.test(part))
+    .flatMap(part => part.split("+").map(p => p.split("#")[0]));
+}
+
+/**
+ * Add up a set of ads' metrics. CTR and CPA are recomputed from the totals when the counts
+ * are known, and averaged over the ads otherwise.
+ * @param {AdMetrics[]} list
+ */
+function aggregateMetrics(list) {
+  const sum = (k) => list.reduce((n, m) => n + (m[k] || 0), 0);
+  const has = (k) => list.some(m => m[k] !== undefined);
+  const mean = (k) => { const xs = list.filter(m => m[k] !== undefined).map(m => m[k]); return xs.reduce((a, b) => a + b, 0) / xs.length; };
+  const total = { ads: list.length };
+  ["impressions", "clicks", "conversions", "spend"].forEach(k => { if (has(k)) total[k] = sum(k); });
+  if (total.impressions > 0 && total.clicks !== undefined) total.ctr = total.clicks / total.impressions;
+  else if (has("ctr")) total.ctr = mean("ctr");
+  if (total.conversions > 0 && total.spend !== undefined) total.cpa = total.spend / total.conversions;
+  else if (has("cpa")) total.cpa = mean("cpa");
+  return total;
+}
+
+/**
+ * The imported records that used each line, built once per import.
+ * @param {PerformanceData | null} performance
+ * @returns {Map<string, PerformanceRecord[]>}
+ */
+function indexPerformance(performance) {
+  const byItem = new Map();
+  if (!performance) return byItem;
+  performance.records.forEach(r => new Set(r.itemIds).forEach(id => {
+    if (!byItem.has(id)) byItem.set(id, []);
+    byItem.get(id).push(r);
+  }));
+  return byItem;
+}
+
+/**
+ * Results per section and per line. Lines are ranked within their section on CTR (higher is
+ * better) or, without CTR, on CPA (lower is better); lift is how far a line is from its section.
+ * @param {Map<string, PerformanceRecord[]>} byItem see indexPerformance
+ * @param {Section[]} sections
+ * @returns {Map<string, { summary: ReturnType<typeof aggregateMetrics>, metric: string | null, items: Map<string, { stats: ReturnType<typeof aggregateMetrics>, lift: number | null, rank: number, ranked: number }> }>}
+ */
+function sectionPerformance(byItem, sections) {
+  const out = new Map();
+  if (byItem.size === 0) return out;
+  sections.forEach(section => {
+    const inSection = new Set(section.items.flatMap(it => byItem.get(it.id) || []));
+    if (inSection.size === 0) return;
+    const summary = aggregateMetrics(Array.from(inSection, r => r.metrics));
+    const metric = summary.ctr !== undefined ? "ctr" : summary.cpa !== undefined ? "cpa" : null;
+    const items = new Map();
+    section.items.forEach(it => {
+      const records = byItem.get(it.id);
+      if (!records) return;
+      const stats = aggregateMetrics(records.map(r => r.metrics));
+      const value = metric ? stats[metric] : undefined;
+      const lift = value !== undefined && summary[metric] ? value / summary[metric] - 1 : null;
+      items.set(it.id, { stats, lift, rank: 0, ranked: 0 });
+    });
+    const ranked = Array.from(items.entries()).filter(([, p]) => p.lift !== null)
+      .sort(([, a], [, b]) => (metric === "cpa" ? a.lift - b.lift : b.lift - a.lift));
+    ranked.forEach(([, p], i) => { p.rank = i + 1; p.ranked = ranked.length; });
+    out.set(section.id, { summary, metric, items });
+  });
+  return out;
+}
+
+/** "CTR 1.84% · CPA $4.20 · 12 ads", for whatever the report had. */
+function describeMetrics(stats) {
+  return [
+    stats.ctr !== undefined && `CTR ${(stats.ctr * 100).toFixed(2)}%`,
+    stats.cpa !== undefined && `CPA ${stats.cpa.toFixed(2)}`,
+    stats.spend !== undefined && `spend ${stats.spend.toFixed(2)}`,
+    `${stats.ads.toLocaleString()} ad${stats.ads === 1 ? "" : "s"}`,
+  ].filter(Boolean).join(" · ");
+}
+
+// ---------- Search ----------
+// Search looks at lines, not ads: it finds the choices in each section that match, then counts
+// and walks the ads that show one of them. Nothing is composed, so huge spaces search as fast as
+// small ones. Hand-edited ads don't follow their lines, so those few are checked one by one.
+const SEARCH_PAGE = 50; // results listed at a time
+const SNIPPET_CONTEXT = 40; // characters kept either side of the first match
+const SEARCH_HIDING_LIMIT = 4; // sections whose match rules can hide, counted exactly (3^n counts each)
+const SEARCH_OVERRIDE_SCAN = 20000; // hand-edited ads checked one by one per plan
+const SEARCH_MAX_CHOICES = 50000; // choices a section may have and still be searched (each one is composed and tested)
+
+/**
+ * The regular expression for a search, or the reason it can't be built.
+ * @param {string} term
+ * @param {{ regex: boolean, caseSensitive: boolean }} options
+ * @returns {{ pattern: RegExp | null, error: string }}
+ */
+function searchPattern(term, { regex, caseSensitive }) {
+  if (!term) return { pattern: null, error: "" };
+  try {
+    const source = regex ? term : term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return { pattern: new RegExp(source, caseSensitive ? "g" : "gi"), error: "" };
+  } catch (e) {
+    return { pattern: null, error: e.message };
+  }
+}
+
+/** Where `pattern` (a global RegExp) matches `text`, as [start, end) pairs; empty matches don't count. */
+function matchRanges(text, pattern) {
+  const ranges = [];
+  for (const m of text.matchAll(pattern)) if (m[0]) ranges.push([m.index, m.index + m[0].length]);
+  return ranges;
+}
+
+/**
+ * Cut `text` down to the stretch around its first match and split it into plain and matched
+ * pieces for highlighting.
+ * @param {string} text
+ * @param {[number, number][]} ranges
+ * @returns {{ text: string, hit: boolean }[]}
+ */
+function snippetParts(text, ranges, context = SNIPPET_CONTEXT) {
+  if (!ranges.length) return [{ text, hit: false }];
+  const from = Math.max(0, ranges[0][0] - context);
+  const to = Math.min(text.length, ranges[0][1] + context * 2);
+  const parts = [];
+  let at = from;
+  ranges.filter(([a, b]) => a >= from && b <= to).forEach(([a, b]) => {
+    if (a > at) parts.push({ text: text.slice(at, a), hit: false });
+    parts.push({ text: text.slice(a, b), hit: true });
+    at = b;
+  });
+  if (at < to) parts.push({ text: text.slice(at, to), hit: false });
+  if (from > 0) parts.unshift({ text: "…", hit: false });
+  if (to < text.length) parts.push({ text: "…", hit: false });
+  return parts;
+}
+
+/**
+ * Positions of the choices whose text matches, per dimension of a plan. Sections outside
+ * `sectionId` (when set), sections past SEARCH_MAX_CHOICES (see searchPlan) and the order and
+ * recipe dimensions match nothing.
+ * @param {ReturnType<typeof planRecipe>} plan
+ * @param {RegExp} pattern
+ * @param {string} sectionId  "" for every section
+ * @param {(text: string) => string} fill  fills in variables
+ * @returns {Set<number>[]}
+ */
+function matchingChoices(plan, pattern, sectionId, fill) {
+  return plan.lists.map((list, i) => {
+    const hits = new Set();
+    const section = plan.activeSections[i];
+    if (!section || (sectionId && section.id !== sectionId) || list.length > SEARCH_MAX_CHOICES) return hits;
+    for (let v = 0; v < list.length; v++) {
+      const choice = list.at(v);
+      if (!choice.omitted && matchRanges(fill(choice.text), pattern).length) hits.add(v);
+    }
+    return hits;
+  });
 }
 
-/** @param {SectionItem[][]} lists */
-function *cartesianGenerator(lists) {
-  if (lists.length === 0) { yield []; return; }
-  const [first, ...rest] = lists;
-  for (const f of first) {
-    if (rest.length === 0) {
-      yield [f];
-    } else {
-      for (const combo of cartesianGenerator(rest)) {
-        yield [f, ...combo];
+/**
+ * For each section whose first choice matches and that "excludes section" rules can hide: the
+ * choices, per dimension, of the lines that hide it (null otherwise). A hidden section always has
+ * its first choice (see compileRules), so that is the only match hiding can take out of an ad.
+ * @param {ReturnType<typeof planRecipe>} plan
+ * @param {Set<number>[]} hits  from matchingChoices
+ * @returns {(Set<number>[] | null)[]}
+ */
+function hidingChoices(plan, hits) {
+  const dimOf = new Map();
+  plan.activeSections.forEach((sec, j) => sec.items.forEach(it => dimOf.set(it.id, j)));
+  return plan.lists.map((_, i) => {
+    const section = plan.activeSections[i];
+    if (!section || !hits[i].has(0)) return null;
+    const hiders = plan.lists.map(() => new Set());
+    let any = false;
+    plan.compiled.hides.forEach((sectionIds, itemId) => {
+      const j = dimOf.get(itemId);
+      if (!sectionIds.has(section.id) || j === undefined || j === i) return;
+      (choicePositions(plan.activeSections[j], plan.lists[j]).get(itemId) || []).forEach(v => { hiders[j].add(v); any = true; });
+    });
+    return any ? hiders : null;
+  });
+}
+
+/**
+ * The ads of a plan that show a matching choice: `count` of them (a BigInt) and `from(pos, limit)`,
+ * the positions of the first `limit` of them at or after `pos`. Sampled plans check their
+ * selection; full spaces count the ads with no match on show and step from match to match.
+ * Matches that `hiding` says a rule takes out are left out for up to SEARCH_HIDING_LIMIT sections
+ * (`exact` is false past that). `shows(choices)` is the same test for one ad.
+ * Hand-edited ads are searchPlan's business.
+ * @param {ReturnType<typeof planRecipe> & { adCount: bigint, selection?: bigint[] }} plan
+ * @param {Set<number>[]} hits  from matchingChoices
+ * @param {(Set<number>[] | null)[]} [hiding]  from hidingChoices
+ */
+function planSearch(plan, hits, hiding = []) {
+  const { space } = plan;
+  const { sizes } = space;
+  const k = sizes.length;
+  const hideable = hits.map((_, i) => i).filter(i => hiding[i]);
+  const hidden = hideable.slice(0, SEARCH_HIDING_LIMIT);
+  const exact = hidden.length === hideable.length;
+  const isHidden = (choices, i) => hidden.includes(i) && hiding[i].some((set, j) => set.has(choices[j]));
+  const shows = (choices) => choices.some((v, i) => hits[i].has(v) && !isHidden(choices, i));
+  if (plan.selection) {
+    const found = [];
+    plan.selection.forEach((idx, pos) => { if (shows(choicesFromIndex(idx, sizes))) found.push(BigInt(pos)); });
+    return { count: BigInt(found.length), from: (pos, limit) => found.filter(p => p >= pos).slice(0, limit), shows, exact };
+  }
+  // Ads agreeing with `assign` that show no match. Each section that can be hidden either avoids
+  // its matches or is hidden (first choice, next to at least one of its hiders); the second case
+  // is counted by inclusion–exclusion over which hiders are left out.
+  const showingNone = (fixed) => {
+    let none = 0n;
+    for (let t = 0; t < 1 << hidden.length; t++) {
+      const hiddenNow = hidden.filter((_, b) => (t >> b) & 1);
+      if (hiddenNow.some(i => fixed[i] > 0)) continue;
+      const at = fixed.slice();
+      hiddenNow.forEach(i => { at[i] = 0; });
+      for (let u = 0; u < 1 << hiddenNow.length; u++) {
+        const avoid = hits.map((h, i) => new Set(hiddenNow.includes(i) ? [] : h));
+        let sign = 1n;
+        hiddenNow.forEach((i, b) => {
+          if (!((u >> b) & 1)) return;
+          sign = -sign;
+          hiding[i].forEach((set, j) => set.forEach(v => avoid[j].add(v)));
+        });
+        none += sign * space.countWith(at, avoid);
       }
     }
-  }
+    return none;
+  };
+  const free = new Array(k).fill(-1);
+  const count = hits.some(h => h.size) ? space.countWith(free) - showingNone(free) : 0n;
+  const assign = new Array(k).fill(-1);
+  // some valid ad agrees with assign[0..d] and shows a match
+  const possible = () => space.countWith(assign) - showingNone(assign) > 0n;
+  // the smallest matching ad at or after `start`, in getCombinationAt order (= position order)
+  const firstFrom = (start) => {
+    assign.fill(-1);
+    let depth = 0;
+    for (; depth < k; depth++) {
+      assign[depth] = start[depth];
+      if (!possible()) break;
+    }
+    if (depth === k) return assign.slice();
+    for (let d = depth; d >= 0; d--) {
+      for (let i = d + 1; i < k; i++) assign[i] = -1;
+      for (let v = start[d] + 1; v < sizes[d]; v++) {
+        assign[d] = v;
+        if (!possible()) continue;
+        for (let i = d + 1; i < k; i++) {
+          for (let w = 0; w < sizes[i]; w++) {
+            assign[i] = w;
+            if (possible()) break;
+          }
+        }
+        return assign.slice();
+      }
+    }
+    return null;
+  };
+  const from = (pos, limit) => {
+    const found = [];
+    if (count === 0n || pos >= plan.adCount) return found;
+    let start = choicesFromIndex(space.at(pos < 0n ? 0n : pos), sizes);
+    while (found.length < limit) {
+      const choices = firstFrom(start);
+      if (!choices) break;
+      found.push(space.indexOf(choices));
+      // the next combination in order, valid or not; firstFrom skips ahead from there
+      start = choices.slice();
+      let i = k - 1;
+      while (i >= 0 && ++start[i] >= sizes[i]) start[i--] = 0;
+      if (i < 0) break;
+    }
+    return found;
+  };
+  return { count, from, shows, exact };
 }
 
-function normalizeFileName(text, max = 40) {
-  const clean = text
-    .replace(/\s+/g, " ")
-    .trim()
-    .replace(/[^a-z0-9 \-_.]/gi, " "); // turn invalid chars into spaces so they become hyphens later
-  return (clean.slice(0, max) || "ad").replace(/\s+/g, "-").toLowerCase();
+/**
+ * Where a choice id sits in one dimension of a plan, or -1. Lazily indexed sections look
+ * only among the choices that use the id's line, and not at all past SEARCH_MAX_CHOICES (null).
+ * @param {ReturnType<typeof planRecipe>} plan
+ * @param {number} i
+ * @param {string} id
+ * @returns {number | null}
+ */
+function choiceIndexOf(plan, i, id) {
+  const list = plan.lists[i];
+  if (Array.isArray(list)) return list.findIndex(c => c.id === id);
+  if (list.length > SEARCH_MAX_CHOICES) return null;
+  if (id.startsWith("omit:")) return list.at(0).id === id ? 0 : -1;
+  const itemId = id.split("+")[0].split("#")[0];
+  const at = (choicePositions(plan.activeSections[i], list).get(itemId) || []).find(v => list.at(v).id === id);
+  return at === undefined ? -1 : at;
 }
 
-function downloadBlob(blob, filename) {
-  // Robust: prefer file-saver if present; fallback to anchor method
-  try {
-    if (typeof saveAs === "function") {
-      saveAs(blob, filename);
-      return;
+/**
+ * The hand-edited ads of a plan whose search result differs from their lines': an edited text
+ * is searched as written (not when the search is limited to one section), and sections an ad
+ * leaves out don't count. Each override's ads are listed from its line ids, at most
+ * SEARCH_OVERRIDE_SCAN of them (`complete` is false if some were left unchecked, as are edits
+ * to a section too large to search).
+ * @param {ReturnType<typeof planRecipe> & { adCount: bigint, selection?: bigint[], resolved: ReturnType<typeof resolveOverrides> }} plan
+ * @param {Set<number>[]} hits
+ * @param {(choices: number[]) => boolean} shows  planSearch's verdict from the lines alone
+ * @param {RegExp} pattern
+ * @param {string} sectionId
+ * @param {(text: string) => string} fill
+ * @returns {{ added: bigint[], removed: Set<bigint>, complete: boolean }}
+ */
+function overrideSearchFixes(plan, hits, shows, pattern, sectionId, fill) {
+  const { space, lists } = plan;
+  const k = lists.length;
+  const added = [], removed = new Set();
+  let budget = BigInt(SEARCH_OVERRIDE_SCAN);
+  let complete = true;
+  const dimOf = (id) => {
+    if (id.startsWith("order:")) return plan.orders ? plan.activeSections.length : -1;
+    if (id.startsWith("recipe:")) return plan.recipe ? k - 1 : -1;
+    const itemId = id.startsWith("omit:") ? null : id.split("+")[0].split("#")[0];
+    return plan.activeSections.findIndex(sec => (itemId ? sec.items.some(it => it.id === itemId) : `omit:${sec.id}` === id));
+  };
+  const selected = plan.selection ? new Map(plan.selection.map((idx, pos) => [idx, BigInt(pos)])) : null;
+  for (const entry of plan.resolved.partial) {
+    const { override } = entry;
+    if (typeof override.text !== "string" && !override.excludedIds?.length) continue;
+    const assign = new Array(k).fill(-1);
+    const placed = entry.live.every(id => {
+      const i = dimOf(id);
+      if (i < 0 || assign[i] >= 0) return false;
+      assign[i] = choiceIndexOf(plan, i, id);
+      return assign[i] >= 0;
+    });
+    if (assign.includes(null)) complete = false;
+    if (!placed) continue;
+    const size = assign.reduce((n, v, i) => (v >= 0 ? n : n * BigInt(lists[i].length)), 1n);
+    if (size > budget) { complete = false; continue; }
+    budget -= size;
+    // every ad with the override's lines; the ones a more specific override covers are skipped
+    const choices = assign.map(v => Math.max(v, 0));
+    for (;;) {
+      const combo = choices.map((v, i) => lists[i].at(v));
+      const pos = !space.isValid(choices) ? null
+        : selected ? selected.get(indexFromChoices(choices, space.sizes)) ?? null
+        : space.indexOf(choices);
+      if (pos !== null && lookupOverride(plan.resolved, combo) === override) {
+        const left = new Set([...(override.excludedIds || []), ...hiddenSectionIds(combo, plan.compiled)]);
+        const actual = typeof override.text === "string"
+          ? !sectionId && matchRanges(fill(override.text), pattern).length > 0
+          : choices.some((v, i) => hits[i].has(v) && !left.has(plan.activeSections[i].id));
+        if (actual && !shows(choices)) added.push(pos);
+        if (!actual && shows(choices)) removed.add(pos);
+      }
+      let i = k - 1;
+      while (i >= 0 && (assign[i] >= 0 || ++choices[i] >= lists[i].length)) { if (assign[i] < 0) choices[i] = 0; i--; }
+      if (i < 0) break;
     }
-  } catch (_) {}
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove();
-  setTimeout(() => URL.revokeObjectURL(url), 4000);
+  }
+  return { added: added.sort(compareIndices), removed, complete };
 }
 
-// Get the nth combination without generating all previous ones
-function getCombinationAt(index, lists) {
-  const sizes = lists.map(l => l.length);
-  const total = sizes.reduce((a, b) => a * b, 1) || 0;
-  if (index < 0 || index >= total) return null;
-  const choiceIdx = [];
-  for (let i = sizes.length - 1; i >= 0; i--) {
-    const size = sizes[i];
-    const pos = index % size;
-    choiceIdx[i] = pos;
-    index = Math.floor(index / size);
-  }
-  return choiceIdx.map((pos, i) => lists[i][pos]);
+/**
+ * Search one plan: the choices that match, the ads that show one (see planSearch) and its
+ * hand-edited ads checked one by one (see overrideSearchFixes), as one `count` and `from`.
+ * Sections past SEARCH_MAX_CHOICES aren't searched (`unsearched` names them): composing and
+ * testing every choice would take too long. Left without matches, their choices all count
+ * alike, so walking the results never steps through them one by one.
+ * @param {ReturnType<typeof planRecipe> & { adCount: bigint, selection?: bigint[], resolved: ReturnType<typeof resolveOverrides> }} plan
+ * @param {RegExp} pattern
+ * @param {string} sectionId  "" for every section
+ * @param {(text: string) => string} fill
+ */
+function searchPlan(plan, pattern, sectionId, fill) {
+  const hits = matchingChoices(plan, pattern, sectionId, fill);
+  const lines = planSearch(plan, hits, hidingChoices(plan, hits));
+  const { added, removed, complete } = overrideSearchFixes(plan, hits, lines.shows, pattern, sectionId, fill);
+  const from = (pos, limit) => {
+    const found = [];
+    for (let at = pos; found.length < limit;) {
+      const batch = lines.from(at, limit);
+      batch.forEach(p => { if (!removed.has(p)) found.push(p); });
+      if (batch.length < limit) break;
+      at = batch[batch.length - 1] + 1n;
+    }
+    return [...found, ...added.filter(p => p >= pos).slice(0, limit)].sort(compareIndices).slice(0, limit);
+  };
+  const unsearched = plan.activeSections.filter((sec, i) => (!sectionId || sec.id === sectionId) && plan.lists[i].length > SEARCH_MAX_CHOICES).map(sec => sec.name);
+  return { hits, count: lines.count + BigInt(added.length) - BigInt(removed.size), from, exact: lines.exact && complete, unsearched };
+}
+
+// ---------- Recipes ----------
+// A recipe picks and orders a subset of sections (e.g. short-form Hook + CTA). Without one, the
+// enabled sections are used. Recipe ads carry a one-choice "recipe:<id>" dimension so their
+// overrides never leak into another recipe's ads.
+const ALL_RECIPES = "*";
+
+/**
+ * Sections as a recipe sees them: its sections first, in its order, and only those enabled.
+ * @param {Section[]} sections
+ * @param {Recipe | null} recipe
+ * @returns {Section[]}
+ */
+function recipeSections(sections, recipe) {
+  if (!recipe) return sections;
+  const byId = new Map(sections.map(s => [s.id, s]));
+  const picked = recipe.sectionIds.filter(id => byId.has(id)).map(id => ({ ...byId.get(id), enabled: true }));
+  const rest = sections.filter(s => !recipe.sectionIds.includes(s.id)).map(s => ({ ...s, enabled: false }));
+  return [...picked, ...rest];
+}
+
+/**
+ * Everything needed to count and address one recipe's combinations (null = enabled sections).
+ * @param {Section[]} sections
+ * @param {Recipe | null} recipe
+ * @param {SectionOrder[]} sectionOrders
+ * @param {Rule[]} rules
+ */
+function planRecipe(sections, recipe, sectionOrders, rules) {
+  const scoped = recipeSections(sections, recipe);
+  const activeSections = participatingSections(scoped);
+  const lists = activeSections.map(sectionChoices);
+  // extra dimensions only make sense once there is something to arrange
+  const orders = activeSections.length ? orderChoices(sectionOrders, activeSections) : null;
+  if (orders) lists.push(orders);
+  if (recipe && activeSections.length) lists.push([{ id: `recipe:${recipe.id}`, text: recipe.name, label: recipe.name }]);
+  const compiled = compileRules(rules, activeSections);
+  const space = createComboSpace(lists.map(l => l.length), compiled);
+  return { recipe, sections: scoped, activeSections, orders, lists, compiled, space };
 }
 
 // ---------- Sortable Components ----------
-function SortableSection({ section, onChange, onDelete }) {
+function SortableSection({ section, variables, lineLimit, performance, onChange, onDelete }) {
   const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: section.id });
   const style = {
     transform: CSS.Transform.toString(transform),
@@ -115,6 +2634,10 @@ function SortableSection({ section, onChange, onDelete }) {
           value={section.name}
           onChange={(e) => onChange({ ...section, name: e.target.value })}
         />
+        <label className="flex items-center gap-2 text-sm" title="Also generate ads without this section">
+          <input type="checkbox" checked={!!section.optional} onChange={(e) => onChange({ ...section, optional: e.target.checked })} />
+          Optional
+        </label>
         <label className="flex items-center gap-2 text-sm mr-2">
           <input type="checkbox" checked={section.enabled} onChange={(e) => onChange({ ...section, enabled: e.target.checked })} />
           Use
@@ -124,12 +2647,33 @@ function SortableSection({ section, onChange, onDelete }) {
         </button>
       </div>
 
-      <ItemsEditor section={section} onChange={onChange} />
+      <div className="mt-2 flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        <label className="flex items-center gap-2">
+          Lines per ad
+          <input type="number" min={1} max={Math.max(1, section.items.length)} className="w-16 border rounded-lg p-1" value={section.pickCount || 1}
+            onChange={(e) => onChange({ ...section, pickCount: Math.max(1, Math.floor(Number(e.target.value) || 1)) })} />
+        </label>
+        {(section.pickCount || 1) > 1 && (
+          <>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={!!section.pickOrdered} onChange={(e) => onChange({ ...section, pickOrdered: e.target.checked })} />
+              Order matters
+            </label>
+            <span className="text-xs text-gray-500">
+              {pickChoices(section).length.toLocaleString()} {section.pickOrdered ? "orderings" : "groups"} of {pickSize(section)}
+              {(section.pickCount || 1) > section.items.length ? ` (only ${section.items.length} lines so far)`
+                : pickSize(section) < (section.pickCount || 1) ? ` (${section.pickCount} lines would make more than ${MAX_SECTION_CHOICES.toLocaleString()}, too many to count)` : ""}
+            </span>
+          </>
+        )}
+      </div>
+
+      <ItemsEditor section={section} variables={variables} lineLimit={lineLimit} performance={performance} onChange={onChange} />
     </div>
   );
 }
 
-function ItemsEditor({ section, onChange }) {
+function ItemsEditor({ section, variables, lineLimit, performance, onChange }) {
   const sensors = useSensors(useSensor(PointerSensor, { activationConstraint: { distance: 5 } }));
 
   const updateItem = (id, text) => {
@@ -155,6 +2699,12 @@ function ItemsEditor({ section, onChange }) {
     onChange({ ...section, items: arrayMove(section.items, oldIndex, newIndex) });
   };
 
+  // best-performing lines first; lines without results keep their order at the end
+  const orderByResults = () => {
+    const rank = (it) => performance.items.get(it.id)?.rank || Infinity;
+    onChange({ ...section, items: section.items.map((it, i) => ({ it, i })).sort((a, b) => rank(a.it) - rank(b.it) || a.i - b.i).map(x => x.it) });
+  };
+
   return (
     <div className="mt-3">
       <div className="flex flex-wrap items-center gap-2 mb-3">
@@ -173,6 +2723,14 @@ function ItemsEditor({ section, onChange }) {
             <div className="text-xs text-gray-500 mt-1">Tip: paste, click outside to add.</div>
           </div>
         </details>
+        {performance && (
+          <span className="ml-auto flex items-center gap-2 text-xs text-gray-500">
+            Results: {describeMetrics(performance.summary)}
+            {Array.from(performance.items.values()).some(p => p.ranked > 1) && (
+              <button onClick={orderByResults} className="px-2 py-1 rounded-lg border hover:bg-gray-50">Order by {performance.metric === "ctr" ? "CTR" : "CPA"}</button>
+            )}
+          </span>
+        )}
       </div>
 
       <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={onDragEnd}>
@@ -182,6 +2740,10 @@ function ItemsEditor({ section, onChange }) {
               <SortableLine
                 key={it.id}
                 item={it}
+                variables={variables}
+                lineLimit={lineLimit}
+                result={performance?.items.get(it.id)}
+                metric={performance?.metric}
                 onChangeText={(txt) => updateItem(it.id, txt)}
                 onDelete={() => onChange({ ...section, items: section.items.filter(x => x.id !== it.id) })}
                 sectionName={section.name}
@@ -194,92 +2756,882 @@ function ItemsEditor({ section, onChange }) {
   );
 }
 
-function SortableLine({ item, onChangeText, onDelete, sectionName }) {
-  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: item.id });
-  const style = {
-    transform: CSS.Transform.toString(transform),
-    transition,
-    opacity: isDragging ? 0.6 : 1,
-  };
+function SortableLine({ item, variables, lineLimit, result, metric, onChangeText, onDelete, sectionName }) {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: item.id });
+  const style = {
+    transform: CSS.Transform.toString(transform),
+    transition,
+    opacity: isDragging ? 0.6 : 1,
+  };
+
+  return (
+    <div ref={setNodeRef} style={style} className="group flex items-start gap-2 bg-gray-50 rounded-xl p-3 border">
+      <button className="mt-0.5 p-1 rounded-md hover:bg-gray-100 cursor-grab" {...attributes} {...listeners} aria-label="Drag line">
+        <GripVertical className="w-4 h-4" />
+      </button>
+      <div className="flex-1 min-w-0">
+        <textarea
+          className="w-full bg-transparent outline-none resize-vertical min-h-[48px]"
+          value={item.text}
+          onChange={(e) => onChangeText(e.target.value)}
+          placeholder={`Write a ${sectionName.toLowerCase()} option...`}
+        />
+        <LineNotes item={item} variables={variables} lineLimit={lineLimit} />
+        {result && <ResultBadge result={result} metric={metric} />}
+      </div>
+      <button className="opacity-100 transition p-2 rounded-md hover:bg-red-50 text-red-600" onClick={onDelete} aria-label="Delete line">
+        <Trash2 className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
+
+/** A line's place in its section's results: rank, lift against the section and the raw numbers. */
+function ResultBadge({ result, metric }) {
+  const { rank, ranked, lift, stats } = result;
+  const best = ranked > 1 && rank === 1;
+  const worst = ranked > 1 && rank === ranked;
+  const tone = best ? "bg-green-50 border-green-200 text-green-700" : worst ? "bg-red-50 border-red-200 text-red-700" : "bg-white text-gray-600";
+  const name = metric === "ctr" ? "CTR" : "CPA";
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-2 text-xs">
+      {ranked > 1 && (
+        <span className={`px-2 py-0.5 rounded-full border ${tone}`}>
+          #{rank} of {ranked}{best ? " · keep" : worst ? " · consider cutting" : ""}
+        </span>
+      )}
+      {ranked > 1 && (
+        <span className="text-gray-500">{name} {Math.abs(lift * 100).toFixed(0)}% {(lift >= 0) === (metric === "ctr") ? "better" : "worse"} than the section</span>
+      )}
+      <span className="text-gray-400">{describeMetrics(stats)}</span>
+    </div>
+  );
+}
+
+const LINE_CHECK_VERSIONS = 500;
+
+function LineNotes({ item, variables, lineLimit }) {
+  const parsed = parseSpintax(item.text);
+  const defined = new Set(variables.map(v => v.name.trim()));
+  const missing = parsed.variables.filter(name => !defined.has(name));
+  // measure versions as they'd appear in an ad (checking at most LINE_CHECK_VERSIONS of them)
+  let over = 0, longest = 0;
+  if (lineLimit) {
+    const versions = lineExpansions(item);
+    for (let k = 0; k < Math.min(versions.count, LINE_CHECK_VERSIONS); k++) {
+      const n = Math.max(...fillVariables(versions.at(k).text, variables).split("\n").map(l => charCount(l.trim())));
+      longest = Math.max(longest, n);
+      if (n > lineLimit) over++;
+    }
+  }
+  if (parsed.count === 1 && parsed.errors.length === 0 && missing.length === 0 && over === 0) return null;
+  return (
+    <div className="text-xs space-y-0.5">
+      {parsed.count > 1 && <div className="text-gray-500">{parsed.count.toLocaleString()} versions</div>}
+      {over > 0 && (
+        <div className="text-red-600">
+          {parsed.count === 1 ? `${longest}/${lineLimit} characters` : `${over.toLocaleString()} of ${Math.min(parsed.count, LINE_CHECK_VERSIONS).toLocaleString()} versions over ${lineLimit} characters`}
+        </div>
+      )}
+      {parsed.errors.map((err, i) => <div key={i} className="text-red-600">Used as written: {err}</div>)}
+      {missing.length > 0 && <div className="text-amber-700">No value yet for {missing.map(name => `{{${name}}}`).join(", ")}</div>}
+    </div>
+  );
+}
+
+// ---------- Variables Editor ----------
+function VariablesEditor({ variables, usedNames, onAdd, onChange, onDelete }) {
+  const defined = variables.map(v => v.name.trim());
+  const missing = usedNames.filter(name => !defined.includes(name));
+
+  return (
+    <div className="bg-white/80 backdrop-blur border rounded-2xl shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="font-semibold text-lg">Variables</h2>
+        <button onClick={() => onAdd("")} className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">
+          <Plus className="w-4 h-4" /> Add variable
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">Write <code>{"{{product}}"}</code> in any line to fill it in from here, and <code>{"{a|b|c}"}</code> to spin one line into several versions.</p>
+      {variables.length > 0 && (
+        <ul className="space-y-2 mb-3 text-sm">
+          {variables.map(v => (
+            <li key={v.id} className="flex items-center gap-2">
+              <input className="w-36 border rounded-lg p-1 font-mono" value={v.name} placeholder="name" aria-label="Variable name"
+                onChange={(e) => onChange({ ...v, name: e.target.value }, "Rename variable", `variable-name:${v.id}`)} />
+              <input className="flex-1 min-w-0 border rounded-lg p-1" value={v.value} placeholder="value" aria-label={`Value for ${v.name}`}
+                onChange={(e) => onChange({ ...v, value: e.target.value }, `Edit {{${v.name}}}`, `variable-value:${v.id}`)} />
+              {defined.filter(name => name === v.name.trim()).length > 1 && <span className="text-xs text-amber-700">defined twice</span>}
+              <button className="p-1 rounded-md hover:bg-red-50 text-red-600" onClick={() => onDelete(v)} aria-label="Delete variable">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {missing.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1 text-xs text-amber-700">
+          Used in lines but not set:
+          {missing.map(name => (
+            <button key={name} onClick={() => onAdd(name)} className="px-2 py-0.5 rounded-lg border border-amber-200 hover:bg-amber-50 font-mono">+ {name}</button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Spreadsheet Import ----------
+/**
+ * Read each column of a spreadsheet as a section: the header names it, every non-empty
+ * cell below is a line. Columns go to the section with the same name when there is one.
+ * @param {string[][]} rows
+ * @param {Section[]} sections
+ */
+function spreadsheetColumns(rows, sections) {
+  const [header = [], ...body] = rows;
+  const width = Math.max(header.length, ...body.map(r => r.length));
+  return Array.from({ length: width }, (_, c) => {
+    const name = (header[c] || "").trim() || `Column ${c + 1}`;
+    const match = sections.find(s => s.name.trim().toLowerCase() === name.toLowerCase());
+    return {
+      name,
+      lines: body.map(r => (r[c] || "").trim()).filter(Boolean),
+      target: match ? match.id : "new",
+      mode: "append",
+    };
+  });
+}
+
+/**
+ * Apply mapped columns: "new" adds a section, "skip" ignores the column, otherwise lines are
+ * appended to (or replace) the target section's lines.
+ * @param {Section[]} sections
+ * @param {{ name: string, lines: string[], target: string, mode: "append" | "replace" }[]} columns
+ * @returns {Section[]}
+ */
+function applySpreadsheetColumns(sections, columns) {
+  let next = sections;
+  columns.forEach(col => {
+    if (col.target === "skip" || col.lines.length === 0) return;
+    const items = col.lines.map(text => ({ id: uid(), text }));
+    if (col.target === "new") {
+      next = [...next, { id: uid(), name: col.name, items, enabled: true }];
+      return;
+    }
+    next = next.map(s => (s.id === col.target ? { ...s, items: col.mode === "replace" ? items : [...s.items, ...items] } : s));
+  });
+  return next;
+}
+
+function SpreadsheetImport({ fileName, parsed, sections, onApply, onCancel }) {
+  const [columns, setColumns] = useState(() => spreadsheetColumns(parsed.rows, sections));
+  const update = (c, patch) => setColumns(prev => prev.map((col, i) => (i === c ? { ...col, ...patch } : col)));
+  const result = applySpreadsheetColumns(sections, columns);
+  const before = new Map(sections.map(s => [s.id, s.items.length]));
+  const changed = result.filter(s => before.get(s.id) !== s.items.length || !before.has(s.id));
+
+  return (
+    <div className="bg-white/80 backdrop-blur border rounded-2xl shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="font-semibold text-lg">Import {fileName}</h2>
+        <span className="text-xs text-gray-500">{parsed.delimiter === "\t" ? "Tab" : "Comma"} separated · {Math.max(parsed.rows.length - 1, 0)} rows</span>
+      </div>
+      {parsed.errors.map((err, i) => <div key={i} className="mt-2 text-xs text-red-600">{err}</div>)}
+      <ul className="mt-3 space-y-2 text-sm">
+        {columns.map((col, c) => (
+          <li key={c} className="rounded-xl p-3 border bg-gray-50">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium flex-1 min-w-0 truncate">{col.name} <span className="text-xs text-gray-500 font-normal">({col.lines.length} lines)</span></span>
+              <select className="border rounded-lg p-1 bg-white" value={col.target} onChange={(e) => update(c, { target: e.target.value })} aria-label={`Section for ${col.name}`}>
+                <option value="new">New section “{col.name}”</option>
+                {sections.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                <option value="skip">Skip this column</option>
+              </select>
+              {col.target !== "new" && col.target !== "skip" && (
+                <select className="border rounded-lg p-1 bg-white" value={col.mode} onChange={(e) => update(c, { mode: e.target.value })} aria-label={`How to import ${col.name}`}>
+                  <option value="append">Append</option>
+                  <option value="replace">Replace</option>
+                </select>
+              )}
+            </div>
+            {col.lines.slice(0, 3).map((line, i) => <div key={i} className="mt-1 text-xs text-gray-600 whitespace-pre-wrap line-clamp-2">{line}</div>)}
+            {col.lines.length > 3 && <div className="text-xs text-gray-400">…and {col.lines.length - 3} more</div>}
+          </li>
+        ))}
+      </ul>
+      <div className="mt-3 text-xs text-gray-600">
+        {changed.length === 0 ? "Nothing to import with these choices." : `After import: ${changed.map(s => `${s.name} ${before.has(s.id) ? `${before.get(s.id)} → ` : "(new) "}${s.items.length}`).join(" · ")}`}
+      </div>
+      <div className="mt-3 flex gap-2">
+        <button onClick={() => onApply(columns)} disabled={changed.length === 0} className="inline-flex items-center gap-2 px-3 py-2 rounded-xl bg-black text-white shadow-sm hover:opacity-90 disabled:opacity-50">
+          <Upload className="w-4 h-4" /> Import
+        </button>
+        <button onClick={onCancel} className="px-3 py-2 rounded-xl border hover:bg-gray-50">Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+// ---------- Section Orders Editor ----------
+function SectionOrdersEditor({ activeSections, baseHint, orders, onAdd, onChange, onDelete }) {
+  const names = new Map(activeSections.map(s => [s.id, s.name]));
+  // show active sections only; ones added since the order was saved go at the end
+  const visibleIds = (order) => [
+    ...order.sectionIds.filter(id => names.has(id)),
+    ...activeSections.map(s => s.id).filter(id => !order.sectionIds.includes(id)),
+  ];
+  const move = (order, id, delta) => {
+    const ids = visibleIds(order);
+    const from = ids.indexOf(id);
+    const to = from + delta;
+    if (to < 0 || to >= ids.length) return;
+    onChange({ ...order, sectionIds: arrayMove(ids, from, to) });
+  };
+  const chip = "inline-flex items-center gap-1 px-2 py-1 rounded-lg bg-gray-100";
+
+  return (
+    <div className="bg-white/80 backdrop-blur border rounded-2xl shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="font-semibold text-lg">Section orders</h2>
+        <button onClick={onAdd} disabled={activeSections.length < 2} className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm disabled:opacity-50">
+          <Plus className="w-4 h-4" /> Add order
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">Test alternative orders without duplicating the project. Every order becomes its own set of variations.</p>
+      <ol className="space-y-2 text-sm">
+        <li className="flex flex-wrap items-center gap-1">
+          <span className="text-xs text-gray-500 w-16">Order 1</span>
+          {activeSections.map((s, i) => <span key={s.id} className={chip}>{i > 0 && "→ "}{s.name}</span>)}
+          <span className="text-xs text-gray-400 ml-1">{baseHint}</span>
+        </li>
+        {orders.map((order, n) => (
+          <li key={order.id} className="flex flex-wrap items-center gap-1">
+            <span className="text-xs text-gray-500 w-16">Order {n + 2}</span>
+            {visibleIds(order).map((id, i, all) => (
+              <span key={id} className={chip}>
+                <button onClick={() => move(order, id, -1)} disabled={i === 0} className="disabled:opacity-30" aria-label={`Move ${names.get(id)} earlier`}><ChevronLeft className="w-3 h-3" /></button>
+                {names.get(id)}
+                <button onClick={() => move(order, id, 1)} disabled={i === all.length - 1} className="disabled:opacity-30" aria-label={`Move ${names.get(id)} later`}><ChevronRight className="w-3 h-3" /></button>
+              </span>
+            ))}
+            <button className="p-1 rounded-md hover:bg-red-50 text-red-600" onClick={() => onDelete(order)} aria-label="Delete order">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+// ---------- Recipes Editor ----------
+function RecipesEditor({ sections, recipes, counts, onAdd, onChange, onDelete }) {
+  const names = new Map(sections.map(s => [s.id, s.name]));
+  const move = (recipe, from, delta) => {
+    const ids = recipe.sectionIds.filter(id => names.has(id));
+    const to = from + delta;
+    if (to < 0 || to >= ids.length) return;
+    onChange({ ...recipe, sectionIds: arrayMove(ids, from, to) }, `Reorder recipe “${recipe.name}”`);
+  };
+  const chip = "inline-flex items-center gap-1 px-2 py-1 rounded-lg bg-gray-100";
+
+  return (
+    <div className="bg-white/80 backdrop-blur border rounded-2xl shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="font-semibold text-lg">Recipes</h2>
+        <button onClick={onAdd} className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm">
+          <Plus className="w-4 h-4" /> Add recipe
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">Save a subset and order of sections (e.g. Hook + CTA for short form). Pick a recipe, or all of them, under Output. Recipes ignore the Use checkboxes.</p>
+      <ul className="space-y-3 text-sm">
+        {recipes.map(recipe => {
+          const ids = recipe.sectionIds.filter(id => names.has(id));
+          const unused = sections.filter(s => !ids.includes(s.id));
+          return (
+            <li key={recipe.id} className="rounded-xl p-3 border bg-gray-50 space-y-2">
+              <div className="flex items-center gap-2">
+                <input className="flex-1 border rounded-lg p-1 bg-white" value={recipe.name} aria-label="Recipe name"
+                  onChange={(e) => onChange({ ...recipe, name: e.target.value }, "Rename recipe", `recipe-name:${recipe.id}`)} />
+                <span className="text-xs text-gray-500">{(counts.get(recipe.id) || 0).toLocaleString()} ads</span>
+                <button className="p-1 rounded-md hover:bg-red-50 text-red-600" onClick={() => onDelete(recipe)} aria-label="Delete recipe">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="flex flex-wrap items-center gap-1">
+                {ids.map((id, i) => (
+                  <span key={id} className={chip}>
+                    <button onClick={() => move(recipe, i, -1)} disabled={i === 0} className="disabled:opacity-30" aria-label={`Move ${names.get(id)} earlier`}><ChevronLeft className="w-3 h-3" /></button>
+                    {names.get(id)}
+                    <button onClick={() => move(recipe, i, 1)} disabled={i === ids.length - 1} className="disabled:opacity-30" aria-label={`Move ${names.get(id)} later`}><ChevronRight className="w-3 h-3" /></button>
+                    <button onClick={() => onChange({ ...recipe, sectionIds: ids.filter(x => x !== id) }, `Remove “${names.get(id)}” from recipe`)} className="text-gray-500 hover:text-red-600" aria-label={`Remove ${names.get(id)}`}>×</button>
+                  </span>
+                ))}
+                {unused.length > 0 && (
+                  <select className="border rounded-lg p-1 bg-white text-xs" value="" aria-label="Add section to recipe"
+                    onChange={(e) => e.target.value && onChange({ ...recipe, sectionIds: [...ids, e.target.value] }, `Add “${names.get(e.target.value)}” to recipe`)}>
+                    <option value="">+ section…</option>
+                    {unused.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                  </select>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+// ---------- Rules Editor ----------
+const shorten = (text, max = 48) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+function RulesEditor({ sections, rules, skipped, tooLarge, onAdd, onDelete }) {
+  const [itemId, setItemId] = useState("");
+  const [kind, setKind] = useState("requires");
+  const [target, setTarget] = useState("");
+
+  const itemSection = new Map();
+  sections.forEach(s => s.items.forEach(it => itemSection.set(it.id, s)));
+  const itemLabel = (id) => {
+    const sec = itemSection.get(id);
+    const it = sec?.items.find(x => x.id === id);
+    return it ? `${sec.name}: ${shorten(it.text || "(empty line)")}` : "(deleted line)";
+  };
+  const sectionName = (id) => sections.find(s => s.id === id)?.name || "(deleted section)";
+  const skippedIds = new Set(skipped.map(r => r.id));
+  const sourceSectionId = itemSection.get(itemId)?.id;
+  const others = sections.filter(s => s.id !== sourceSectionId);
+
+  const add = () => {
+    if (!itemId || !target) return;
+    const rule = kind === "excludes-section"
+      ? { type: "excludes", targetSectionId: target }
+      : { type: kind, targetItemId: target };
+    onAdd({ id: uid(), itemId, ...rule });
+    setTarget("");
+  };
+
+  return (
+    <div className="bg-white/80 backdrop-blur border rounded-2xl shadow-sm p-4 mb-4">
+      <h2 className="font-semibold text-lg">Rules</h2>
+      <p className="text-xs text-gray-500 mb-3">Skip combinations that don’t make sense together. Totals, the explorer and every export only use ads that pass all rules.</p>
+      {tooLarge.length > 0 && (
+        <p className="text-xs text-red-600 mb-3">
+          Rules are off: {tooLarge.map(name => `“${name}”`).join(", ")} {tooLarge.length === 1 ? "has" : "have"} more than {RULE_MAX_CHOICES.toLocaleString()} choices (spintax versions or picks), too many to check rules against. Shorten {tooLarge.length === 1 ? "it" : "them"} or pick fewer lines to use rules.
+        </p>
+      )}
+
+      {rules.length > 0 && (
+        <ul className="space-y-2 mb-3">
+          {rules.map(rule => (
+            <li key={rule.id} className={`flex items-start gap-2 rounded-xl p-3 border text-sm ${skippedIds.has(rule.id) ? "bg-gray-50 text-gray-400" : "bg-gray-50"}`}>
+              <span className="flex-1">
+                “{itemLabel(rule.itemId)}”{" "}
+                {rule.targetSectionId
+                  ? <>leaves out section “{sectionName(rule.targetSectionId)}”</>
+                  : <>{rule.type === "requires" ? "requires" : "excludes"} “{itemLabel(rule.targetItemId)}”</>}
+                {skippedIds.has(rule.id) && <span className="block text-xs">{tooLarge.length ? "Not applied: rules are off." : "Not applied: a line or section in this rule is missing, turned off, or in the same section."}</span>}
+              </span>
+              <button className="p-1 rounded-md hover:bg-red-50 text-red-600" onClick={() => onDelete(rule)} aria-label="Delete rule">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid gap-2 sm:grid-cols-[1fr_auto_1fr_auto] items-center text-sm">
+        <select className="border rounded-lg p-2 bg-white min-w-0" value={itemId} onChange={(e) => { setItemId(e.target.value); setTarget(""); }} aria-label="Rule line">
+          <option value="">Choose a line…</option>
+          {sections.map(s => (
+            <optgroup key={s.id} label={s.name}>
+              {s.items.map(it => <option key={it.id} value={it.id}>{shorten(it.text || "(empty line)")}</option>)}
+            </optgroup>
+          ))}
+        </select>
+        <select className="border rounded-lg p-2 bg-white" value={kind} onChange={(e) => { setKind(e.target.value); setTarget(""); }} aria-label="Rule type">
+          <option value="requires">requires</option>
+          <option value="excludes">excludes line</option>
+          <option value="excludes-section">excludes section</option>
+        </select>
+        <select className="border rounded-lg p-2 bg-white min-w-0" value={target} onChange={(e) => setTarget(e.target.value)} disabled={!itemId} aria-label="Rule target">
+          <option value="">{kind === "excludes-section" ? "Choose a section…" : "Choose a line…"}</option>
+          {kind === "excludes-section"
+            ? others.map(s => <option key={s.id} value={s.id}>{s.name}</option>)
+            : others.map(s => (
+              <optgroup key={s.id} label={s.name}>
+                {s.items.map(it => <option key={it.id} value={it.id}>{shorten(it.text || "(empty line)")}</option>)}
+              </optgroup>
+            ))}
+        </select>
+        <button onClick={add} disabled={!itemId || !target} className="inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-black text-white shadow-sm hover:opacity-90 disabled:opacity-50">
+          <Plus className="w-4 h-4" /> Add rule
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ---------- Duplicates panel ----------
+function DuplicatesPanel({ report, stale, adCount, onScan, onHide, onMerge, onDeleteLine, onShowAd }) {
+  return (
+    <div className="bg-white/80 backdrop-blur border rounded-2xl shadow-sm p-4 mb-4">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="font-semibold text-lg">Duplicates</h2>
+        <span className="flex gap-2">
+          {report && <button onClick={onHide} className="px-3 py-1 rounded-lg border hover:bg-gray-50 text-sm">Hide</button>}
+          <button onClick={onScan} className="px-3 py-1 rounded-lg border hover:bg-gray-50 text-sm">{report ? "Scan again" : "Check for duplicates"}</button>
+        </span>
+      </div>
+      <p className="text-xs text-gray-500">Lines that repeat (ignoring case, punctuation and spacing) or differ by a word, and ads whose text comes out the same.</p>
+
+      {report && (
+        <div className="mt-3 space-y-3 text-sm">
+          {stale && <p className="text-xs text-amber-700">The project has changed since this scan. Scan again before merging or deleting.</p>}
+          {report.lines.length === 0 && report.ads.length === 0 && <p className="text-gray-500">No duplicates found.</p>}
+          {report.lines.map(group => (
+            <div key={group.items[0].id} className="rounded-xl p-3 border bg-gray-50">
+              <div className="flex items-center justify-between gap-2 mb-1">
+                <span className="text-xs text-gray-500">{group.section.name} · {group.kind === "exact" ? "same line" : "nearly the same"}</span>
+                <button onClick={() => onMerge(group)} disabled={stale} className="px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50 text-xs disabled:opacity-50" title="Keep the first line; rules on the others move to it">Merge into first</button>
+              </div>
+              <ul className="space-y-1">
+                {group.items.map(it => (
+                  <li key={it.id} className="flex items-start gap-2">
+                    <span className="flex-1 whitespace-pre-wrap">{it.text}</span>
+                    <button className="p-1 rounded-md hover:bg-red-50 text-red-600 disabled:opacity-50" disabled={stale} onClick={() => onDeleteLine(group.section, it)} aria-label="Delete duplicate line">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+          {report.ads.map(group => (
+            <div key={group.positions.join()} className="rounded-xl p-3 border bg-gray-50">
+              <div className="text-xs text-gray-500 mb-1">{group.positions.length} ads read the same</div>
+              <div className="whitespace-pre-wrap mb-2">{shorten(group.text, 120)}</div>
+              <div className="flex flex-wrap gap-1">
+                {group.positions.map(pos => (
+                  <button key={pos} onClick={() => onShowAd(pos)} className="px-2 py-0.5 rounded-lg border bg-white hover:bg-gray-50 text-xs">Ad {pos + 1}</button>
+                ))}
+              </div>
+            </div>
+          ))}
+          {BigInt(report.scanned) < adCount && (
+            <p className="text-xs text-gray-500">Checked the first {report.scanned.toLocaleString()} of {adCount.toLocaleString()} ads for repeated text.</p>
+          )}
+          {report.ads.length > 0 && (
+            <p className="text-xs text-gray-500">To keep only the first of each, turn on “Leave repeated ads out of exports” in the Output settings.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ---------- Search results panel ----------
+function SearchResultsPanel({ run, results, currentIndex, onShowAd, onMore, onClose }) {
+  return (
+    <div className="mt-3 p-3 border rounded-xl text-sm space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-medium">
+          {run.error ? "Search" : `${run.exact && !run.unsearched.length ? "" : "About "}${run.count.toLocaleString()} matching ${run.count === 1n ? "ad" : "ads"}`}
+          {results.length > 0 && BigInt(results.length) < run.count && <span className="font-normal text-gray-500"> · showing {results.length.toLocaleString()}</span>}
+        </span>
+        <button onClick={onClose} className="px-2 py-0.5 rounded-lg border hover:bg-gray-50 text-xs">Close</button>
+      </div>
+      {run.error && <p className="text-xs text-red-600">Not a valid regular expression: {run.error}</p>}
+      {!run.error && run.count === 0n && <p className="text-gray-500">No matches found.</p>}
+      {results.length > 0 && (
+        <ul className="space-y-1 max-h-80 overflow-auto">
+          {results.map(r => (
+            <li key={String(r.pos)}>
+              <button onClick={() => onShowAd(r.pos)} className={`w-full text-left rounded-lg border p-2 hover:bg-gray-50 ${r.pos === currentIndex ? "border-gray-900" : ""}`}>
+                <div className="text-xs text-gray-500">Ad {(r.pos + 1n).toLocaleString()}{r.label}</div>
+                {r.lines.map(line => (
+                  <div key={line.sectionId} className={line.shown ? "" : "opacity-60"}>
+                    <span className="text-xs text-gray-500">{line.sectionName}: </span>
+                    {line.parts.map((part, i) => (part.hit ? <mark key={i} className="bg-yellow-200 rounded">{part.text}</mark> : <span key={i}>{part.text}</span>))}
+                    {!line.shown && <span className="text-xs text-gray-500"> (left out of this ad)</span>}
+                  </div>
+                ))}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {BigInt(results.length) < run.count && (
+        <button onClick={onMore} className="px-3 py-1 rounded-lg border hover:bg-gray-50 text-xs">Show {SEARCH_PAGE} more</button>
+      )}
+      <p className="text-xs text-gray-500">
+        Searches the lines each ad shows, and the text of hand-edited ads.
+        {!run.error && !run.exact && " The count is approximate: too many sections can be hidden by rules, or too many ads share an edit, to check them all."}
+        {!run.error && run.unsearched.length > 0 && ` ${run.unsearched.map(name => `“${name}”`).join(", ")} ${run.unsearched.length === 1 ? "has" : "have"} more than ${SEARCH_MAX_CHOICES.toLocaleString()} choices and ${run.unsearched.length === 1 ? "isn’t" : "aren’t"} searched.`}
+      </p>
+    </div>
+  );
+}
+
+// ---------- Main App ----------
+const FORM_FIELDS = "input, textarea, select, [contenteditable]"; // where keys type rather than act
+const REVIEW_SCAN_LIMIT = 2000; // ads looked at per step through a review filter
+
+export default function AdVariationsBuilder() {
+  const sensorsMain = useSensors(useSensor(PointerSensor, { activationConstraint: { distance: 8 } }));
+
+  const [boot] = useState(() => {
+    const index = loadProjectIndex();
+    return { ...index, data: loadProjectData(index.activeId) };
+  });
+  /** @type {[ProjectMeta[], Function]} */
+  const [projects, setProjects] = useState(boot.projects);
+  const [activeProjectId, setActiveProjectId] = useState(boot.activeId);
+
+  // Sections and overrides make up the undoable document; output settings stay outside history.
+  /** @type {[{ doc: EditorDoc, past: HistoryEntry[], future: HistoryEntry[] }, Function]} */
+  const [editor, setEditor] = useState(() => ({ doc: docFromProject(boot.data), past: [], future: [] }));
+  const { sections, overrides, rules, sectionOrders, recipes, variables } = editor.doc;
+
+  const [includeHeadings, setIncludeHeadings] = useState(boot.data.includeHeadings);
+  const [separator, setSeparator] = useState(boot.data.separator);
+  const [maxForPreview, setMaxForPreview] = useState(boot.data.maxForPreview);
+  const [maxForZip, setMaxForZip] = useState(boot.data.maxForZip);
+  /** @type {[GenerationSettings, Function]} */
+  const [generation, setGeneration] = useState(boot.data.generation);
+  const [recipeScope, setRecipeScope] = useState(boot.data.recipeScope); // "", a recipe id or ALL_RECIPES
+  /** @type {[LimitSettings, Function]} */
+  const [limits, setLimits] = useState(boot.data.limits);
+  const limitsInForce = useMemo(() => activeLimits(limits), [limits]);
+  /** @type {[GoogleAdsSettings, Function]} */
+  const [googleAds, setGoogleAds] = useState(boot.data.googleAds);
+  /** @type {[MetaAdsSettings, Function]} */
+  const [metaAds, setMetaAds] = useState(boot.data.metaAds);
+  const [dedupeExports, setDedupeExports] = useState(boot.data.dedupeExports);
+  const [duplicateReport, setDuplicateReport] = useState(/** @type {DuplicateReport | null} */ (null));
+  const [approvedOnly, setApprovedOnly] = useState(boot.data.approvedOnly);
+  const [reviewFilter, setReviewFilter] = useState("all"); // "all" or a ReviewStatus
+  const [reviewMiss, setReviewMiss] = useState(""); // why the last step went nowhere
+  const [reviewSteps, setReviewSteps] = useState(0); // bumped to step on once a new status is in
+  /** @type {[PerformanceData | null, Function]} */
+  const [performance, setPerformance] = useState(boot.data.performance);
+  const [fileNames, setFileNames] = useState(boot.data.fileNames);
+  const [zipSettings, setZipSettings] = useState(boot.data.zip);
+
+  // Explorer state
+  const [currentIndex, setCurrentIndex] = useState(0n); // zero-based BigInt, like every ad position
+  const [searchTerm, setSearchTerm] = useState("");
+  const [searchOptions, setSearchOptions] = useState({ regex: false, caseSensitive: false, sectionId: "" });
+  // The search the results panel shows (null while closed) and how many of its results are listed
+  const [searchQuery, setSearchQuery] = useState(/** @type {{ term: string, regex: boolean, caseSensitive: boolean, sectionId: string } | null} */ (null));
+  const [searchShown, setSearchShown] = useState(SEARCH_PAGE);
+  const [importErrors, setImportErrors] = useState(/** @type {{ fileName: string, errors: string[] } | null} */ (null));
+  // Running ZIP export: progress for the bar, the job itself for cancelling
+  const [zipProgress, setZipProgress] = useState(/** @type {{ done: number, total: number } | null} */ (null));
+  const zipJobRef = useRef(null);
+  const [sheetImport, setSheetImport] = useState(/** @type {{ fileName: string, parsed: ReturnType<typeof parseDelimited> } | null} */ (null));
+
+  /** @type {ProjectData} */
+  const projectData = useMemo(
+    () => ({ ...editor.doc, includeHeadings, separator, maxForPreview, maxForZip, generation, recipeScope, limits, googleAds, metaAds, dedupeExports, approvedOnly, performance, fileNames, zip: zipSettings }),
+    [editor.doc, includeHeadings, separator, maxForPreview, maxForZip, generation, recipeScope, limits, googleAds, metaAds, dedupeExports, approvedOnly, performance, fileNames, zipSettings],
+  );
+  const snapshotProject = () => projectData;
+
+  // Saving serialises the whole project, so it waits for a pause in typing; a save still
+  // pending when the page closes is written straight away.
+  const [storageError, setStorageError] = useState("");
+  const pendingSave = useRef(null);
+  useEffect(() => {
+    const save = () => {
+      pendingSave.current = null;
+      setStorageError(saveProjectData(activeProjectId, projectData));
+    };
+    pendingSave.current = save;
+    const timer = setTimeout(save, PROJECT_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [activeProjectId, projectData]);
+  useEffect(() => {
+    const flush = () => pendingSave.current && pendingSave.current();
+    window.addEventListener("beforeunload", flush);
+    return () => window.removeEventListener("beforeunload", flush);
+  }, []);
+  useEffect(() => {
+    const error = saveProjectIndex(projects, activeProjectId);
+    if (error) setStorageError(error);
+  }, [projects, activeProjectId]);
+
+  const usedVariableNames = useMemo(
+    () => Array.from(new Set(sections.flatMap(sec => sec.items.flatMap(it => parseSpintax(it.text).variables)))),
+    [sections],
+  );
+
+  // One plan per recipe (plus the enabled sections) so counts can be listed side by side;
+  // only the plans in scope are sampled, explored and exported.
+  const recipePlans = useMemo(
+    () => [null, ...recipes].map(recipe => planRecipe(sections, recipe, sectionOrders, rules)),
+    [sections, recipes, sectionOrders, rules],
+  );
+  const scopedPlans = useMemo(() => {
+    const inScope = recipeScope === ALL_RECIPES
+      ? recipePlans.slice(1)
+      : recipePlans.filter(p => (p.recipe ? p.recipe.id : "") === recipeScope);
+    // The ads being explored/exported: every valid combination, a seeded sample, or an all-pairs covering set.
+    return (inScope.length ? inScope : recipePlans.slice(0, 1)).map(plan => {
+      if (generation.mode === "pairwise") {
+        // too many pairs: no ads rather than a frozen tab; the settings panel says why
+        const selection = pairwiseCoveringIndices(plan.space, generation.seed);
+        return { ...plan, selection: selection || [], pairwiseTooLarge: !selection, adCount: BigInt(selection ? selection.length : 0) };
+      }
+      const selection = generation.mode === "sample" ? sampleCombinationIndices(plan.space, generation) : null;
+      return { ...plan, selection, adCount: selection ? BigInt(selection.length) : plan.space.count };
+    });
+  }, [recipePlans, recipeScope, generation]);
+  const plans = useMemo(() => {
+    const recipeIds = recipes.map(r => r.id);
+    return scopedPlans.map(plan => ({
+      ...plan,
+      resolved: resolveOverrides(overrides, plan.sections, { orderIds: (plan.orders || []).map(o => o.id), recipeId: plan.recipe?.id, recipeIds }),
+    }));
+  }, [scopedPlans, overrides, recipes]);
+
+  // BigInts, like the positions below
+  const adCount = plans.reduce((n, p) => n + p.adCount, 0n);
+  const totalCombos = plans.reduce((n, p) => n + p.space.count, 0n);
+  const rawCombos = plans.reduce((n, p) => n + p.space.total, 0n);
+  const pairwiseSkipped = plans.filter(p => p.pairwiseTooLarge);
+  /** The ad at an explorer/export position (BigInt or number), counting through the plans in scope one after another. */
+  const adAt = useCallback((pos) => {
+    let rest = BigInt(pos);
+    if (rest < 0n) return null;
+    for (const plan of plans) {
+      if (rest < plan.adCount) {
+        const idx = plan.selection ? plan.selection[Number(rest)] : plan.space.at(rest);
+        return { plan, idx, combo: getCombinationAt(idx, plan.lists) };
+      }
+      rest -= plan.adCount;
+    }
+    return null;
+  }, [plans]);
+  const currentAd = useMemo(() => adAt(currentIndex), [adAt, currentIndex]);
+  const currentPlan = currentAd ? currentAd.plan : plans[0];
+
+  // The running search: matching lines per plan, then the ads that show them, plus hand-edited ads
+  const searchRun = useMemo(() => {
+    if (!searchQuery) return null;
+    const { pattern, error } = searchPattern(searchQuery.term, searchQuery);
+    if (!pattern) return { error, count: 0n, exact: true, unsearched: [], pattern: null, planHits: [], searches: [] };
+    const fill = (text) => fillVariables(text, variables);
+    const searches = plans.map(plan => searchPlan(plan, pattern, searchQuery.sectionId, fill));
+    return {
+      error: "",
+      count: searches.reduce((n, found) => n + found.count, 0n),
+      exact: searches.every(found => found.exact),
+      unsearched: [...new Set(searches.flatMap(found => found.unsearched))],
+      pattern,
+      planHits: searches.map(found => found.hits),
+      searches,
+    };
+  }, [searchQuery, plans, variables]);
+  /** @type {{ pos: bigint, hits: Set<number>[] }[]} the listed results, in ad order across plans */
+  const searchPositions = useMemo(() => {
+    const out = [];
+    if (!searchRun) return out;
+    let offset = 0n;
+    plans.forEach((plan, i) => {
+      if (searchRun.searches[i] && out.length < searchShown) {
+        searchRun.searches[i].from(0n, searchShown - out.length).forEach(pos => out.push({ pos: offset + pos, hits: searchRun.planHits[i] }));
+      }
+      offset += plan.adCount;
+    });
+    return out;
+  }, [searchRun, searchShown, plans]);
+
+  // keep currentIndex in bounds
+  useEffect(() => {
+    if (currentIndex >= (adCount > 1n ? adCount - 1n : 0n)) {
+      setCurrentIndex(0n);
+    }
+  }, [adCount]);
+
+  // ---------- Undo / redo ----------
+  // Fields whose edits have gone into the history. Ctrl+Z in one of them steps the history (the
+  // browser's text undo can't see those edits); other fields keep the browser's own undo.
+  const historyFields = useRef(new WeakSet());
+
+  /**
+   * Apply an undoable change to the document. Steps sharing a `coalesceKey` (e.g. typing in
+   * one line) merge into a single history entry while they keep coming.
+   * @param {string} label
+   * @param {(doc: EditorDoc) => EditorDoc} update
+   * @param {string} [coalesceKey]
+   */
+  const applyEdit = useCallback((label, update, coalesceKey) => {
+    const field = document.activeElement;
+    if (field?.matches?.(FORM_FIELDS)) historyFields.current.add(field);
+    setEditor(prev => {
+      const doc = update(prev.doc);
+      if (doc === prev.doc) return prev;
+      return { doc, ...pushHistory(prev, { label, coalesceKey }, Date.now()) };
+    });
+  }, []);
+
+  const setSections = useCallback((label, update, coalesceKey) => {
+    applyEdit(label, doc => ({ ...doc, sections: update(doc.sections) }), coalesceKey);
+  }, [applyEdit]);
 
-  return (
-    <div ref={setNodeRef} style={style} className="group flex items-start gap-2 bg-gray-50 rounded-xl p-3 border">
-      <button className="mt-0.5 p-1 rounded-md hover:bg-gray-100 cursor-grab" {...attributes} {...listeners} aria-label="Drag line">
-        <GripVertical className="w-4 h-4" />
-      </button>
-      <textarea
-        className="flex-1 bg-transparent outline-none resize-vertical min-h-[48px]"
-        value={item.text}
-        onChange={(e) => onChangeText(e.target.value)}
-        placeholder={`Write a ${sectionName.toLowerCase()} option...`}
-      />
-      <button className="opacity-100 transition p-2 rounded-md hover:bg-red-50 text-red-600" onClick={onDelete} aria-label="Delete line">
-        <Trash2 className="w-4 h-4" />
-      </button>
-    </div>
-  );
-}
+  const setOverrides = useCallback((label, update, coalesceKey) => {
+    applyEdit(label, doc => ({ ...doc, overrides: update(doc.overrides) }), coalesceKey);
+  }, [applyEdit]);
 
-// ---------- Main App ----------
-export default function AdVariationsBuilder() {
-  const sensorsMain = useSensors(useSensor(PointerSensor, { activationConstraint: { distance: 8 } }));
+  const setRules = useCallback((label, update) => {
+    applyEdit(label, doc => ({ ...doc, rules: update(doc.rules) }));
+  }, [applyEdit]);
 
-  /** @type {[Section[], Function]} */
-  const [sections, setSections] = useState(() => {
-    try {
-      const raw = localStorage.getItem("avb.sections");
-      if (raw) return JSON.parse(raw);
-    } catch {}
-    return DEFAULT_SECTIONS;
-  });
+  const setSectionOrders = useCallback((label, update) => {
+    applyEdit(label, doc => ({ ...doc, sectionOrders: update(doc.sectionOrders) }));
+  }, [applyEdit]);
 
-  const [includeHeadings, setIncludeHeadings] = useState(() => localStorage.getItem("avb.headings") === "1");
-  const [separator, setSeparator] = useState(() => localStorage.getItem("avb.sep") ?? "\n\n");
-  const [maxForPreview, setMaxForPreview] = useState(20);
-  const [maxForZip, setMaxForZip] = useState(3000);
+  const setRecipes = useCallback((label, update, coalesceKey) => {
+    applyEdit(label, doc => ({ ...doc, recipes: update(doc.recipes) }), coalesceKey);
+  }, [applyEdit]);
 
-  /** @type {[Record<string, AdOverride>, Function]} */
-  const [overrides, setOverrides] = useState(() => {
-    try {
-      const raw = localStorage.getItem("avb.overrides");
-      if (raw) return JSON.parse(raw);
-    } catch {}
-    return {};
-  });
+  const setVariables = useCallback((label, update, coalesceKey) => {
+    applyEdit(label, doc => ({ ...doc, variables: update(doc.variables) }), coalesceKey);
+  }, [applyEdit]);
 
-  // Explorer state
-  const [currentIndex, setCurrentIndex] = useState(0); // zero-based
-  const [searchTerm, setSearchTerm] = useState("");
+  const undo = useCallback(() => setEditor(prev => stepHistory(prev, -1)), []);
+  const redo = useCallback(() => setEditor(prev => stepHistory(prev, 1)), []);
+  const jumpHistory = (steps) => setEditor(prev => stepHistory(prev, steps));
 
   useEffect(() => {
-    localStorage.setItem("avb.sections", JSON.stringify(sections));
-  }, [sections]);
-  useEffect(() => { localStorage.setItem("avb.headings", includeHeadings ? "1" : "0"); }, [includeHeadings]);
-  useEffect(() => { localStorage.setItem("avb.sep", separator); }, [separator]);
-  useEffect(() => { localStorage.setItem("avb.overrides", JSON.stringify(overrides)); }, [overrides]);
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const field = e.target.closest?.(FORM_FIELDS);
+      if (field && !historyFields.current.has(field)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z") {
+        e.preventDefault();
+        if (e.shiftKey) redo(); else undo();
+      } else if (key === "y" && !e.shiftKey) {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [undo, redo]);
 
-  const activeSections = useMemo(() => sections.filter(s => s.enabled && s.items.length > 0), [sections]);
-  const lists = useMemo(() => activeSections.map(s => s.items), [activeSections]);
-  const totalCombos = useMemo(() => productCount(sections), [sections]);
+  const addSection = () => {
+    setSections("Add section", prev => [...prev, { id: uid(), name: "New Section", items: [], enabled: true }]);
+  };
 
-  // keep currentIndex in bounds
-  useEffect(() => {
-    if (currentIndex >= Math.max(totalCombos - 1, 0)) {
-      setCurrentIndex(0);
+  const resetDefaults = () => {
+    applyEdit("Reset to defaults", () => docFromProject(defaultProjectData()));
+    setCurrentIndex(0n);
+  };
+
+  // ---------- Project switching ----------
+  /** @param {string} id @param {ProjectData} data */
+  const openProject = (id, data) => {
+    setActiveProjectId(id);
+    setEditor({ doc: docFromProject(data), past: [], future: [] });
+    setIncludeHeadings(data.includeHeadings);
+    setSeparator(data.separator);
+    setMaxForPreview(data.maxForPreview);
+    setMaxForZip(data.maxForZip);
+    setGeneration(data.generation);
+    setRecipeScope(data.recipeScope);
+    setLimits(data.limits);
+    setGoogleAds(data.googleAds);
+    setMetaAds(data.metaAds);
+    setDedupeExports(data.dedupeExports);
+    setApprovedOnly(data.approvedOnly);
+    setPerformance(data.performance);
+    setFileNames(data.fileNames);
+    setZipSettings(data.zip);
+    setCurrentIndex(0n);
+  };
+
+  const switchProject = (id) => {
+    if (id === activeProjectId) return;
+    setStorageError(saveProjectData(activeProjectId, snapshotProject()));
+    openProject(id, loadProjectData(id));
+  };
+
+  /** @param {string} name @param {ProjectData} data */
+  const addProject = (name, data) => {
+    const id = uid();
+    const errors = [saveProjectData(activeProjectId, snapshotProject()), saveProjectData(id, data)];
+    setStorageError(errors.find(Boolean) || "");
+    setProjects(prev => [...prev, { id, name }]);
+    openProject(id, data);
+  };
+
+  const createProject = () => {
+    const name = window.prompt("Name for the new project", "Untitled project");
+    if (name === null) return;
+    addProject(name.trim() || "Untitled project", defaultProjectData());
+  };
+
+  const duplicateProject = () => {
+    const current = projects.find(p => p.id === activeProjectId);
+    const name = window.prompt("Name for the copy", `${current?.name || "Project"} copy`);
+    if (name === null) return;
+    addProject(name.trim() || `${current?.name || "Project"} copy`, snapshotProject());
+  };
+
+  const exportProject = () => {
+    const name = projects.find(p => p.id === activeProjectId)?.name || "project";
+    const blob = new Blob([JSON.stringify(buildProjectFile(name, snapshotProject()), null, 2)], { type: "application/json" });
+    downloadBlob(blob, `${normalizeFileName(name)}.avb.json`);
+  };
+
+  const importProject = async (file) => {
+    if (!file) return;
+    const result = parseProjectFile(await file.text());
+    if (result.errors.length) {
+      setImportErrors({ fileName: file.name, errors: result.errors });
+      return;
     }
-  }, [totalCombos]);
+    setImportErrors(null);
+    addProject(result.name, { ...defaultProjectData(), ...result.data });
+  };
 
-  // when sections change (reorder/add/remove/toggle), clear overrides so editor reflects new composition
-  useEffect(() => { setOverrides({}); setCurrentIndex(0); }, [sections]);
+  const importSpreadsheet = async (file) => {
+    if (!file) return;
+    const parsed = parseDelimited(await file.text());
+    if (parsed.rows.length === 0) {
+      window.alert(`${file.name} has no rows to import.`);
+      return;
+    }
+    setSheetImport({ fileName: file.name, parsed });
+  };
 
-  const addSection = () => {
-    setSections(prev => [...prev, { id: uid(), name: "New Section", items: [], enabled: true }]);
+  const renameProject = () => {
+    const current = projects.find(p => p.id === activeProjectId);
+    const name = window.prompt("Rename project", current?.name || "");
+    if (!name || !name.trim()) return;
+    setProjects(prev => prev.map(p => p.id === activeProjectId ? { ...p, name: name.trim() } : p));
   };
 
-  const resetDefaults = () => {
-    setSections(DEFAULT_SECTIONS.map(s => ({ ...s, id: uid(), items: s.items.map(i => ({ ...i, id: uid() })) })));
-    setOverrides({});
-    setCurrentIndex(0);
+  const deleteProject = () => {
+    const current = projects.find(p => p.id === activeProjectId);
+    const ok = window.confirm(`Delete project "${current?.name || ""}"? This cannot be undone.`);
+    if (!ok) return;
+    removeProjectData(activeProjectId);
+    const remaining = projects.filter(p => p.id !== activeProjectId);
+    if (remaining.length === 0) {
+      const id = uid();
+      const data = defaultProjectData();
+      setProjects([{ id, name: "My project" }]);
+      openProject(id, data);
+      return;
+    }
+    setProjects(remaining);
+    openProject(remaining[0].id, loadProjectData(remaining[0].id));
   };
 
   // pure function so we can test easily
@@ -290,31 +3642,190 @@ export default function AdVariationsBuilder() {
 
   const buildText = useCallback((parts) => buildTextFromParts(parts, includeHeadings, separator), [includeHeadings, separator]);
 
-  const effectiveOverride = (idx) => overrides[idx] || { excludedIds: [] };
+  const effectiveOverride = useCallback((ad) => (
+    (ad && ad.combo && lookupOverride(ad.plan.resolved, ad.combo)) || { excludedIds: [] }
+  ), []);
+
+  const currentCombo = currentAd?.combo || [];
+  const currentKey = currentCombo.length ? comboKey(currentCombo) : null;
+
+  // Writes always land on the current ad's exact key, starting from whatever override it inherited.
+  /** An ad's review. Unlike edits, a review only counts for the ad it was given to (see updateOverrideForCurrent). */
+  const adReview = useCallback((ad) => {
+    const entry = ad && ad.combo ? ad.plan.resolved.byLiveKey.get(comboKey(ad.combo)) : null;
+    return { status: entry?.override.status || "draft", note: entry?.override.note || "" };
+  }, []);
+
+  const updateOverrideForCurrent = (label, update, coalesceKey) => {
+    if (!currentKey) return;
+    const inherited = effectiveOverride(currentAd);
+    // an edit carried over from a similar ad comes along, its review doesn't
+    const own = currentPlan.resolved.byLiveKey.get(currentKey)?.override === inherited;
+    const { status, note, ...carried } = inherited;
+    setOverrides(label, prev => ({ ...prev, [currentKey]: { ...update(prev[currentKey] || (own ? inherited : carried)), updatedAt: Date.now() } }), coalesceKey);
+  };
+
+  /** The lines an ad is composed from, in order, by section (ignores a hand-edited text). */
+  const adParts = useCallback((ad) => {
+    if (!ad || !ad.combo) return [];
+    const { combo, plan } = ad;
+    const ov = effectiveOverride(ad);
+    const hidden = hiddenSectionIds(combo, plan.compiled);
+    return arrangeCombo(combo, plan.activeSections)
+      .filter(({ section, item }) => !item.omitted && !(ov.excludedIds || []).includes(section.id) && !hidden.has(section.id))
+      .map(({ section, item }) => ({ sectionId: section.id, name: section.name, text: fillVariables(item.text, variables) }));
+  }, [effectiveOverride, variables]);
+
+  /** An ad's final text plus the lines it's made of (for an edited ad, its own lines). */
+  const composeAd = useCallback((ad) => {
+    const ov = effectiveOverride(ad);
+    if (ad && typeof ov.text === "string") return { text: ov.text, lines: ov.text.split(/\r?\n/) }; // full override
+    const parts = adParts(ad);
+    if (parts.length === 0) return { text: "", lines: [] };
+    return { text: buildText(parts), lines: parts.flatMap(p => p.text.split("\n")) };
+  }, [effectiveOverride, adParts, buildText]);
+
+  const buildAd = useCallback((ad) => composeAd(ad).text, [composeAd]);
 
-  const buildAdByIndex = useCallback((idx) => {
-    const combo = getCombinationAt(idx, lists);
-    if (!combo) return "";
-    const ov = effectiveOverride(idx);
-    if (ov && typeof ov.text === "string") return ov.text; // full override
-    const filteredParts = combo.map((it, i) => ({ name: activeSections[i].name, text: it.text, secId: activeSections[i].id }))
-      .filter(p => !(ov.excludedIds || []).includes(p.secId))
-      .map(({ name, text }) => ({ name, text }));
-    return buildText(filteredParts);
-  }, [lists, activeSections, overrides, buildText]);
+  const adViolations = useCallback((ad) => {
+    const { text, lines } = composeAd(ad);
+    return limitViolations(text, lines, limitsInForce);
+  }, [composeAd, limitsInForce]);
+
+  // Over-limit ads are exported as usual, marked, or left out, per the limits setting.
+  const exportVerdict = (ad) => {
+    if (limits.onExport === "include") return { skip: false, flag: "" };
+    const issues = adViolations(ad);
+    if (issues.length === 0) return { skip: false, flag: "" };
+    return { skip: limits.onExport === "skip", flag: `[Over limit: ${issues.join("; ")}]` };
+  };
+  /**
+   * A filter for one export run: with "approved only", a skip for ads not approved; the limits
+   * verdict; and with "leave out repeats", a skip for an ad whose text matches one already
+   * exported. `report()` says what was left out. The platform CSVs check limits themselves.
+   */
+  const exportFilter = ({ checkLimits = true } = {}) => {
+    const seen = dedupeExports ? new Set() : null;
+    let unapproved = 0, overLimit = 0, repeats = 0;
+    const keep = (ad) => {
+      if (approvedOnly && adReview(ad).status !== "approved") { unapproved++; return { skip: true, flag: "" }; }
+      const verdict = checkLimits ? exportVerdict(ad) : { skip: false, flag: "" };
+      if (verdict.skip) { overLimit++; return verdict; }
+      if (seen) {
+        const text = buildAd(ad);
+        if (seen.has(text)) { repeats++; return { skip: true, flag: "" }; }
+        seen.add(text);
+      }
+      return verdict;
+    };
+    keep.report = (more = []) => {
+      const notes = [];
+      if (unapproved) notes.push(`${unapproved.toLocaleString()} ad(s) not approved yet were left out.`);
+      if (overLimit) notes.push(`${overLimit.toLocaleString()} ad(s) over the ${PLATFORM_PROFILES.find(p => p.id === limits.profile)?.label || ""} limits were left out.`);
+      if (repeats) notes.push(`${repeats.toLocaleString()} ad(s) repeating an earlier ad’s text were left out.`);
+      notes.push(...more);
+      if (notes.length) window.alert(notes.join("\n"));
+    };
+    return keep;
+  };
+
+  /** Label for an ad in headings: its recipe and section order, when there is a choice of either. */
+  const describeAd = useCallback((ad) => [
+    ad.plan.recipe && ad.plan.recipe.name,
+    ad.plan.orders && ad.combo[ad.plan.activeSections.length].label,
+  ].filter(Boolean).map(t => ` · ${t}`).join(""), []);
+
+  // Recipe names go into export filenames so short- and long-form files don't collide.
+  const scopeSlug = recipeScope === ALL_RECIPES && recipes.length ? "all-recipes"
+    : plans[0].recipe ? normalizeFileName(plans[0].recipe.name) : "";
+  const fileNameTemplate = useMemo(() => parseFileNameTemplate(fileNames.template, sections), [fileNames.template, sections]);
+
+  /** The line each section shows in an ad; omitted, excluded and rule-hidden sections are left out. */
+  const shownLines = useCallback((ad) => {
+    const excluded = new Set([...(effectiveOverride(ad).excludedIds || []), ...hiddenSectionIds(ad.combo, ad.plan.compiled)]);
+    const lines = new Map();
+    ad.plan.activeSections.forEach((sec, i) => {
+      const item = ad.combo[i];
+      if (!item.omitted && !excluded.has(sec.id)) lines.set(sec.id, item);
+    });
+    return lines;
+  }, [effectiveOverride]);
+
+  /** What a file-name template can use from one ad. @returns {FileNameFields} */
+  const fileNameFields = useCallback((ad, content, n, pad, flagged) => {
+    const lines = new Map(Array.from(shownLines(ad), ([id, item]) => [id, { text: fillVariables(item.text, variables), itemId: item.id }]));
+    return {
+      index: String(n).padStart(pad, "0"),
+      first: content.split(/\n|\r/).find(Boolean) || "ad",
+      recipe: ad.plan.recipe ? ad.plan.recipe.name : "",
+      status: adReview(ad).status,
+      flag: flagged ? "over-limit" : "",
+      date: new Date().toISOString().slice(0, 10),
+      lines,
+    };
+  }, [shownLines, variables, adReview]);
+
+  /** A namer for one export's files, or null (after saying why) while the template has mistakes. */
+  const exportFileNamer = () => {
+    if (fileNameTemplate.errors.length) {
+      window.alert(`Fix the file name template under Output first:\n${fileNameTemplate.errors.join("\n")}`);
+      return null;
+    }
+    return fileNamer(fileNameTemplate.parts, fileNames.maxLength);
+  };
+  // Names for the first few ads, to show the template at work and warn when it gives ads the same name
+  const fileNameSample = useMemo(() => {
+    if (fileNameTemplate.errors.length || adCount === 0n) return null;
+    const namer = fileNamer(fileNameTemplate.parts, fileNames.maxLength);
+    const pad = String(adCount).length;
+    const names = [];
+    for (let i = 0; i < Math.min(Number(adCount), 20); i++) {
+      const ad = adAt(i);
+      names.push(namer(fileNameFields(ad, buildAd(ad), i + 1, pad, false), "txt"));
+    }
+    return { names, renamed: namer.renamed() };
+  }, [fileNameTemplate, fileNames.maxLength, adCount, adAt, buildAd, fileNameFields]);
+  const renamedNote = (renamed) => (renamed ? [`${renamed.toLocaleString()} file name(s) were already taken and got a number added.`] : []);
+
+  /** The ZIP folder for an ad grouped by `section`: its line there, numbered as in the section, or "no-…" without one. */
+  const zipFolder = (ad, section) => {
+    const item = shownLines(ad).get(section.id);
+    if (!item) return `no-${normalizeFileName(section.name)}`;
+    const numbers = choiceItemIds(item).map(id => String(section.items.findIndex(it => it.id === id) + 1).padStart(2, "0"));
+    return safeFileName(`${numbers.join("+")}_${normalizeFileName(fillVariables(item.text, variables))}`, fileNames.maxLength);
+  };
+
+  /** @returns {ZipManifestEntry} */
+  const zipManifestEntry = (ad, file, number) => {
+    const lines = shownLines(ad);
+    return {
+      file,
+      number,
+      adId: adId(ad.combo),
+      recipe: ad.plan.recipe ? ad.plan.recipe.name : "",
+      order: ad.plan.orders ? ad.combo[ad.plan.activeSections.length].label : "",
+      itemIds: Object.fromEntries(Array.from(lines, ([id, item]) => [id, item.id])),
+      excludedSections: ad.plan.activeSections.filter((sec, i) => !ad.combo[i].omitted && !lines.has(sec.id)).map(sec => sec.name),
+      edited: isEdited(ad),
+      status: adReview(ad).status,
+    };
+  };
+  const exportName = (base, ext) => `${base}${scopeSlug ? `_${scopeSlug}` : ""}_${new Date().toISOString().slice(0,10)}.${ext}`;
 
   const generatePreview = () => {
     const out = [];
-    const max = Math.min(maxForPreview, totalCombos);
+    const max = adCount < BigInt(maxForPreview) ? Number(adCount) : maxForPreview;
     for (let i = 0; i < max; i++) {
-      out.push(buildAdByIndex(i));
+      out.push(buildAd(adAt(i)));
     }
     return out;
   };
 
   const toggleExcludeSectionForCurrent = (secId) => {
-    setOverrides(prev => {
-      const ov = { ...(prev[currentIndex] || { excludedIds: [] }) };
+    const name = sections.find(sec => sec.id === secId)?.name || "section";
+    const excluded = (effectiveOverride(currentAd).excludedIds || []).includes(secId);
+    updateOverrideForCurrent(`${excluded ? "Include" : "Exclude"} “${name}” in ad #${currentIndex + 1n}`, cur => {
+      const ov = { ...cur };
       ov.excludedIds = Array.from(new Set(ov.excludedIds || []));
       if (ov.excludedIds.includes(secId)) {
         ov.excludedIds = ov.excludedIds.filter(id => id !== secId);
@@ -323,83 +3834,501 @@ export default function AdVariationsBuilder() {
       }
       // when exclusions change, drop any full-text override so the composed text updates
       if (ov.text) delete ov.text;
-      return { ...prev, [currentIndex]: ov };
+      return ov;
     });
   };
 
   const setOverrideTextForCurrent = (text) => {
-    setOverrides(prev => ({ ...prev, [currentIndex]: { ...(prev[currentIndex] || {}), text } }));
+    updateOverrideForCurrent(`Edit ad #${currentIndex + 1n}`, cur => ({ ...cur, text }), `ad-text:${currentKey}`);
+  };
+
+  const restoreOrphanToCurrent = (key) => {
+    if (!currentKey) return;
+    setOverrides("Restore unmatched edit", prev => {
+      const { [key]: orphan, ...rest } = prev;
+      return orphan ? { ...rest, [currentKey]: { ...orphan, updatedAt: Date.now() } } : prev;
+    });
+  };
+
+  const discardOrphan = (key) => {
+    setOverrides("Discard unmatched edit", prev => {
+      const { [key]: _dropped, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const isEdited = (ad) => typeof effectiveOverride(ad).text === "string";
+
+  const passesReviewFilter = (pos) => reviewFilter === "all" || adReview(adAt(pos)).status === reviewFilter;
+
+  const filterLabel = (filter) => REVIEW_STATUSES.find(r => r.id === filter).label.toLowerCase();
+
+  /** Move to the nearest ad in `dir` (1 or -1) that the review filter shows, looking at most REVIEW_SCAN_LIMIT ads ahead. */
+  const stepIndex = (dir, from = currentIndex) => {
+    for (let step = 1n; step <= BigInt(REVIEW_SCAN_LIMIT); step++) {
+      const pos = from + BigInt(dir) * step;
+      if (pos < 0n || pos >= adCount) break;
+      if (passesReviewFilter(pos)) { setCurrentIndex(pos); setReviewMiss(""); return; }
+    }
+    if (reviewFilter !== "all") {
+      setReviewMiss(`No ${filterLabel(reviewFilter)} ad within ${REVIEW_SCAN_LIMIT.toLocaleString()} ${dir > 0 ? "after" : "before"} this one.`);
+    }
+  };
+  const nextIndex = () => stepIndex(1);
+  const prevIndex = () => stepIndex(-1);
+
+  const changeReviewFilter = (filter) => {
+    setReviewFilter(filter);
+    setReviewMiss("");
+    const matches = (pos) => filter === "all" || adReview(adAt(pos)).status === filter;
+    if (adCount === 0n || matches(currentIndex)) return;
+    const limit = adCount < BigInt(REVIEW_SCAN_LIMIT) ? adCount : BigInt(REVIEW_SCAN_LIMIT);
+    for (let pos = 0n; pos < limit; pos++) if (matches(pos)) { setCurrentIndex(pos); return; }
+    setReviewMiss(`No ${filterLabel(filter)} ad among the first ${limit.toLocaleString()}.`);
   };
 
-  const nextIndex = () => setCurrentIndex(i => Math.min(i + 1, Math.max(totalCombos - 1, 0)));
-  const prevIndex = () => setCurrentIndex(i => Math.max(i - 1, 0));
+  /** Set the shown ad's status; approving or rejecting moves on to the next ad. */
+  const setReviewForCurrent = (status) => {
+    if (!currentKey) return;
+    updateOverrideForCurrent(`Mark ad #${currentIndex + 1n} ${filterLabel(status)}`, ({ status: _old, ...cur }) => (status === "draft" ? cur : { ...cur, status }));
+    if (status !== "draft") setReviewSteps(n => n + 1);
+  };
+  // the step runs after the render with the new status, so the filter doesn't skip or stop on stale reviews
+  const stepAfterReview = useRef(null);
+  stepAfterReview.current = () => stepIndex(1);
+  useEffect(() => {
+    if (reviewSteps) stepAfterReview.current();
+  }, [reviewSteps]);
+  const setReviewNoteForCurrent = (note) => {
+    updateOverrideForCurrent(`Note on ad #${currentIndex + 1n}`, cur => ({ ...cur, note }), `ad-note:${currentKey}`);
+  };
+
+  // Reviewing from the keyboard: A approves, R rejects, D returns to draft, arrows / J K step.
+  const reviewKeys = useRef(null);
+  reviewKeys.current = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest?.(FORM_FIELDS)) return;
+    const action = { a: () => setReviewForCurrent("approved"), r: () => setReviewForCurrent("rejected"), d: () => setReviewForCurrent("draft"),
+      j: nextIndex, arrowright: nextIndex, k: prevIndex, arrowleft: prevIndex }[e.key.toLowerCase()];
+    if (!action) return;
+    e.preventDefault();
+    action();
+  };
+  useEffect(() => {
+    const onKey = (e) => reviewKeys.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  /** Jump to a 1-based ad number typed by the user, clamped to the ads there are. */
+  const jumpTo = (value) => {
+    const digits = value.replace(/[^\d]/g, "");
+    if (adCount === 0n) return;
+    const n = BigInt(digits || "1");
+    setCurrentIndex(n < 1n ? 0n : n > adCount ? adCount - 1n : n - 1n);
+  };
 
-  const findNext = () => {
+  const runSearch = () => {
     if (!searchTerm) return;
-    const term = searchTerm.toLowerCase();
-    for (let step = 1; step <= totalCombos; step++) {
-      const idx = (currentIndex + step) % Math.max(totalCombos, 1);
-      const text = buildAdByIndex(idx).toLowerCase();
-      if (text.includes(term)) { setCurrentIndex(idx); return; }
+    setSearchQuery({ term: searchTerm, ...searchOptions });
+    setSearchShown(SEARCH_PAGE);
+  };
+
+  /** The listed search results: each ad's number and label, and each matching line it uses (or its edited text), highlighted. */
+  const searchResults = useMemo(() => searchPositions.map(({ pos, hits }) => {
+    const ad = adAt(pos);
+    const edited = effectiveOverride(ad).text;
+    if (typeof edited === "string") {
+      const text = fillVariables(edited, variables);
+      return { pos, label: describeAd(ad), lines: [{ sectionId: "edited", sectionName: "Edited text", shown: true, parts: snippetParts(text, matchRanges(text, searchRun.pattern)) }] };
+    }
+    const shown = shownLines(ad);
+    const choices = choicesFromIndex(ad.idx, ad.plan.space.sizes);
+    const lines = ad.plan.activeSections.flatMap((sec, i) => {
+      if (!hits[i].has(choices[i])) return [];
+      const text = fillVariables(ad.combo[i].text, variables);
+      return [{ sectionId: sec.id, sectionName: sec.name, shown: shown.has(sec.id), parts: snippetParts(text, matchRanges(text, searchRun.pattern)) }];
+    });
+    return { pos, label: describeAd(ad), lines };
+  }), [searchPositions, searchRun, adAt, effectiveOverride, shownLines, describeAd, variables]);
+
+  /**
+   * Check an export's size before building it: exports step through ads by plain-number
+   * position, exact only up to 2^53, and past the safety cap the user has to confirm.
+   * @param {bigint} count
+   * @returns {boolean} whether to go ahead
+   */
+  const confirmExportSize = (count) => {
+    if (count > BigInt(Number.MAX_SAFE_INTEGER)) {
+      window.alert(`An export can hold at most ${Number.MAX_SAFE_INTEGER.toLocaleString()} ads, and there are ${count.toLocaleString()}. Use a sample or a recipe to export fewer.`);
+      return false;
     }
-    window.alert("No matches found");
+    return count <= maxForZip || window.confirm(`You are about to export ${count.toLocaleString()} ads. This may be slow or crash your browser. Continue?`);
   };
 
   const downloadZip = async () => {
-    const count = totalCombos;
-    if (count === 0) return;
-    if (count > maxForZip) {
-      const ok = window.confirm(`You are about to generate ${count.toLocaleString()} files. This may be slow or crash your browser. Continue?`);
-      if (!ok) return;
-    }
-    const zip = new JSZip();
+    const count = adCount;
+    if (count === 0n) return;
+    if (!confirmExportSize(count)) return;
+    const nameFile = exportFileNamer();
+    if (!nameFile) return;
+    const job = { cancelled: false, writer: createZipWriter() };
+    zipJobRef.current = job;
+    const total = Number(count);
+    setZipProgress({ done: 0, total });
     const pad = String(count).length;
+    const keep = exportFilter();
+    const folderSection = sections.find(sec => sec.id === zipSettings.folderSectionId) || null;
+    const perArchive = zipSettings.filesPerArchive || Infinity;
+    const namers = new Map([["", nameFile]]); // names only need to differ within a folder
     let index = 0;
-    for (let adIdx = 0; adIdx < totalCombos; adIdx++) {
-      const content = buildAdByIndex(adIdx);
-      const first = content.split(/\n|\r/).find(Boolean) || "ad";
-      const fname = `${String(++index).padStart(pad, "0")}_${normalizeFileName(first)}.txt`;
-      zip.file(fname, content);
+    let parts = 0;
+    let files = [];
+    let manifest = [];
+    let bytes = 0; // size of the archive being written, as of the writer's last reply
+    const saved = []; // archives already downloaded, named if the export stops part-way
+    let savedThrough = 0; // the last file number they hold
+    const savedNote = () => (saved.length
+      ? `\n\n${saved.length} archive(s) holding files 1–${savedThrough.toLocaleString()} were already saved: ${saved.join(", ")}. The files after those were not exported.`
+      : "");
+    // waiting for the writer keeps at most one batch in flight and lets the page repaint
+    const send = async () => {
+      ({ bytes } = await askZipWriter(job.writer, { type: "files", files }));
+      files = [];
+    };
+    // Close the archive being written, with its manifest, download it and start the next one.
+    // It is a numbered part unless it is the only archive: not split by count or size.
+    const finishArchive = async (last) => {
+      const part = perArchive < Infinity || parts > 0 || !last ? parts + 1 : 0;
+      files.push(...zipManifestFiles(manifest, sections, part));
+      await send();
+      const { blob } = await askZipWriter(job.writer, { type: "finish" });
+      if (job.cancelled) return;
+      parts++;
+      const fileName = exportName(part ? `ad_variations_part-${String(part).padStart(2, "0")}` : "ad_variations", "zip");
+      downloadBlob(blob, fileName);
+      saved.push(fileName);
+      savedThrough = index;
+      job.writer.terminate();
+      job.writer = createZipWriter();
+      manifest = [];
+      bytes = 0;
+    };
+    try {
+      for (let pos = 0; pos < total && !job.cancelled; pos += ZIP_BATCH) {
+        for (let p = pos; p < Math.min(pos + ZIP_BATCH, total) && !job.cancelled; p++) {
+          const ad = adAt(p);
+          const verdict = keep(ad);
+          if (verdict.skip) continue;
+          const content = buildAd(ad);
+          const folder = folderSection ? zipFolder(ad, folderSection) : "";
+          if (!namers.has(folder)) namers.set(folder, fileNamer(fileNameTemplate.parts, fileNames.maxLength));
+          const name = namers.get(folder)(fileNameFields(ad, content, ++index, pad, !!verdict.flag), "txt");
+          const path = folder ? `${folder}/${name}` : name;
+          files.push({ name: path, text: content });
+          manifest.push(zipManifestEntry(ad, path, index));
+          if (manifest.length === perArchive) await finishArchive(false);
+        }
+        if (job.cancelled) return;
+        await send();
+        if (bytes >= ZIP_ARCHIVE_BYTES && !job.cancelled) await finishArchive(false);
+        if (!job.cancelled) setZipProgress({ done: Math.min(pos + ZIP_BATCH, total), total });
+      }
+      if (job.cancelled) return;
+      if (manifest.length) await finishArchive(true);
+      if (job.cancelled) return;
+      const renamed = Array.from(namers.values()).reduce((sum, namer) => sum + namer.renamed(), 0);
+      keep.report(renamedNote(renamed));
+    } catch (err) {
+      if (!job.cancelled) window.alert(`The ZIP export failed: ${err?.message || err}${savedNote()}`);
+    } finally {
+      if (job.cancelled && saved.length) window.alert(`The ZIP export was cancelled.${savedNote()}`);
+      job.writer.terminate();
+      if (zipJobRef.current === job) {
+        zipJobRef.current = null;
+        setZipProgress(null);
+      }
     }
-    const blob = await zip.generateAsync({ type: "blob" });
-    downloadBlob(blob, `ad_variations_${new Date().toISOString().slice(0,10)}.zip`);
+  };
+
+  const cancelZip = () => {
+    const job = zipJobRef.current;
+    if (!job) return;
+    job.cancelled = true;
+    job.writer.terminate();
+    zipJobRef.current = null;
+    setZipProgress(null);
   };
 
   const downloadCombined = () => {
-    const count = totalCombos;
-    if (count === 0) return;
+    const count = adCount;
+    if (count === 0n) return;
+    if (!confirmExportSize(count)) return;
     const pieces = [];
+    const keep = exportFilter();
     let i = 1;
-    for (let adIdx = 0; adIdx < totalCombos; adIdx++) {
-      const body = buildAdByIndex(adIdx);
-      const edited = overrides[adIdx]?.text ? " [Edited]" : "";
-      pieces.push(`### Ad ${i}${edited}\n\n${body}`);
+    for (let pos = 0; pos < count; pos++) {
+      const ad = adAt(pos);
+      const verdict = keep(ad);
+      if (verdict.skip) continue;
+      const edited = isEdited(ad) ? " [Edited]" : "";
+      const flag = verdict.flag ? ` ${verdict.flag}` : "";
+      pieces.push(`### Ad ${i}${describeAd(ad)}${edited}${flag}\n\n${buildAd(ad)}`);
       i++;
     }
-    const blob = new Blob([pieces.join("\n\n---\n\n")], { type: "text/plain;charset=utf-8" });
-    downloadBlob(blob, `ad_variations_combined_${new Date().toISOString().slice(0,10)}.txt`);
+    if (pieces.length) {
+      const blob = new Blob([pieces.join("\n\n---\n\n")], { type: "text/plain;charset=utf-8" });
+      downloadBlob(blob, exportName("ad_variations_combined", "txt"));
+    }
+    keep.report();
   };
 
   const downloadIndividually = async () => {
-    const count = totalCombos;
-    if (count === 0) return;
+    const count = adCount;
+    if (count === 0n) return;
+    const nameFile = exportFileNamer();
+    if (!nameFile) return;
     const go = window.confirm("This will trigger many download prompts (one per file). Continue?");
     if (!go) return;
     const pad = String(count).length;
+    const keep = exportFilter();
     let i = 0;
-    for (let adIdx = 0; adIdx < totalCombos; adIdx++) {
-      const content = buildAdByIndex(adIdx);
-      const first = content.split(/\n|\r/).find(Boolean) || "ad";
+    for (let pos = 0; pos < count; pos++) {
+      const ad = adAt(pos);
+      const verdict = keep(ad);
+      if (verdict.skip) continue;
+      const content = buildAd(ad);
       const blob = new Blob([content], { type: "text/plain;charset=utf-8" });
-      const fname = `${String(++i).padStart(pad, "0")}_${normalizeFileName(first)}.txt`;
-      downloadBlob(blob, fname);
+      downloadBlob(blob, nameFile(fileNameFields(ad, content, ++i, pad, !!verdict.flag), "txt"));
       // allow UI to breathe
       // eslint-disable-next-line no-await-in-loop
       await new Promise(r => setTimeout(r, 5));
     }
+    keep.report(renamedNote(nameFile.renamed()));
+  };
+
+  const downloadGoogleAds = () => {
+    if (adCount === 0n) return;
+    if (!googleAds.campaign.trim() || !googleAds.adGroup.trim()) {
+      window.alert("Set a campaign and an ad group under “Google Ads export” first.");
+      return;
+    }
+    if (!confirmExportSize(adCount)) return;
+    const rows = [];
+    const rejected = [];
+    const keep = exportFilter({ checkLimits: false });
+    for (let pos = 0; pos < adCount; pos++) {
+      const ad = adAt(pos);
+      if (keep(ad).skip) continue;
+      const { row, problems } = googleRsaRow(adParts(ad), googleAds);
+      if (problems.length) rejected.push(`Ad ${pos + 1}: ${problems.join("; ")}`);
+      else rows.push(row);
+    }
+    if (rejected.length) {
+      const list = rejected.slice(0, 8).join("\n") + (rejected.length > 8 ? `\n…and ${(rejected.length - 8).toLocaleString()} more` : "");
+      if (rows.length === 0) {
+        window.alert(`No ad meets Google’s requirements:\n\n${list}`);
+        return;
+      }
+      const ok = window.confirm(`${rejected.length.toLocaleString()} ad(s) don’t meet Google’s requirements and will be left out:\n\n${list}\n\nExport the other ${rows.length.toLocaleString()}?`);
+      if (!ok) return;
+    }
+    const blob = new Blob([toCsv([GOOGLE_RSA_COLUMNS, ...rows])], { type: "text/csv;charset=utf-8" });
+    downloadBlob(blob, exportName("google_ads_rsa", "csv"));
+    keep.report();
+  };
+
+  const downloadMetaAds = () => {
+    if (adCount === 0n) return;
+    if (!metaAds.campaign.trim() || !metaAds.adSet.trim()) {
+      window.alert("Set a campaign and an ad set under “Meta Ads export” first.");
+      return;
+    }
+    if (!confirmExportSize(adCount)) return;
+    const rows = [];
+    const rejected = [];
+    const cutOff = [];
+    const keep = exportFilter({ checkLimits: false });
+    for (let pos = 0; pos < adCount; pos++) {
+      const ad = adAt(pos);
+      if (keep(ad).skip) continue;
+      const { row, errors, warnings } = metaAdRow(adParts(ad), metaAds, `Ad ${pos + 1}${describeAd(ad)}`);
+      if (errors.length) { rejected.push(`Ad ${pos + 1}: ${errors.join("; ")}`); continue; }
+      if (warnings.length) cutOff.push(`Ad ${pos + 1}: ${warnings.join("; ")}`);
+      rows.push(row);
+    }
+    const list = (items) => items.slice(0, 6).join("\n") + (items.length > 6 ? `\n…and ${(items.length - 6).toLocaleString()} more` : "");
+    if (rows.length === 0) {
+      window.alert(`No ad can be imported into Meta:\n\n${list(rejected)}`);
+      return;
+    }
+    if (rejected.length || cutOff.length) {
+      const report = [
+        rejected.length ? `${rejected.length.toLocaleString()} ad(s) will be left out:\n${list(rejected)}` : "",
+        cutOff.length ? `${cutOff.length.toLocaleString()} ad(s) have text Meta will cut off:\n${list(cutOff)}` : "",
+      ].filter(Boolean).join("\n\n");
+      if (!window.confirm(`${report}\n\nDownload ${rows.length.toLocaleString()} ad(s)?`)) return;
+    }
+    const blob = new Blob([toCsv([META_COLUMNS, ...rows])], { type: "text/csv;charset=utf-8" });
+    downloadBlob(blob, exportName("meta_ads_bulk_import", "csv"));
+    keep.report();
+  };
+
+  /** Everything needed to trace an exported ad back to the lines it was built from. */
+  const traceAd = (ad, number) => {
+    const { combo, plan } = ad;
+    const ov = effectiveOverride(ad);
+    const hidden = hiddenSectionIds(combo, plan.compiled);
+    const excludedIds = new Set([...(ov.excludedIds || []), ...hidden]);
+    const bySection = new Map(plan.activeSections.map((sec, i) => [sec.id, combo[i]]));
+    return {
+      id: adId(combo),
+      number,
+      recipe: plan.recipe ? plan.recipe.name : "",
+      order: plan.orders ? combo[plan.activeSections.length].label : "",
+      sections: sections.map(sec => {
+        const item = bySection.get(sec.id);
+        const used = item && !item.omitted;
+        return {
+          sectionId: sec.id,
+          name: sec.name,
+          itemId: used ? item.id : "",
+          text: used ? fillVariables(item.text, variables) : "",
+          excluded: used && excludedIds.has(sec.id),
+        };
+      }),
+      excludedSections: sections.filter(sec => bySection.has(sec.id) && excludedIds.has(sec.id)).map(sec => sec.name),
+      edited: isEdited(ad),
+      status: adReview(ad).status,
+      note: adReview(ad).note,
+      limitIssues: adViolations(ad),
+      text: buildAd(ad),
+    };
+  };
+
+  const traceAll = () => {
+    const records = [];
+    const keep = exportFilter();
+    for (let pos = 0; pos < adCount; pos++) {
+      const ad = adAt(pos);
+      if (keep(ad).skip) continue;
+      records.push(traceAd(ad, records.length + 1));
+    }
+    return { records, report: keep.report };
+  };
+
+  const downloadTraceCsv = () => {
+    if (adCount === 0n) return;
+    if (!confirmExportSize(adCount)) return;
+    const { records, report } = traceAll();
+    const withLimits = limits.profile !== "none";
+    const header = [
+      "Ad ID", "Ad #", "Recipe", "Order",
+      ...sections.flatMap(sec => [`${sec.name} item ID`, `${sec.name} text`]),
+      "Excluded sections", "Edited", "Status", "Note", ...(withLimits ? ["Limit issues"] : []), "Final text",
+    ];
+    const rows = records.map(r => [
+      r.id, r.number, r.recipe, r.order,
+      ...r.sections.flatMap(sec => [sec.itemId, sec.text]),
+      r.excludedSections.join("; "), r.edited ? "yes" : "no", r.status, r.note, ...(withLimits ? [r.limitIssues.join("; ")] : []), r.text,
+    ]);
+    if (records.length) downloadBlob(new Blob([toCsv([header, ...rows])], { type: "text/csv;charset=utf-8" }), exportName("ad_variations_trace", "csv"));
+    report();
+  };
+
+  const downloadTraceJson = () => {
+    if (adCount === 0n) return;
+    if (!confirmExportSize(adCount)) return;
+    const { records, report } = traceAll();
+    const file = { format: "ad-variations-builder/ads", exportedAt: new Date().toISOString(), ads: records };
+    if (records.length) downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: "application/json" }), exportName("ad_variations_trace", "json"));
+    report();
+  };
+
+  /** The lines an ad shows (not those excluded or hidden by a rule), to credit its results to. */
+  const adLineIds = (ad) => {
+    const ov = effectiveOverride(ad);
+    const hidden = hiddenSectionIds(ad.combo, ad.plan.compiled);
+    return ad.plan.activeSections.flatMap((section, i) => {
+      const item = ad.combo[i];
+      return item.omitted || (ov.excludedIds || []).includes(section.id) || hidden.has(section.id) ? [] : choiceItemIds(item);
+    });
+  };
+
+  const importPerformance = async (file) => {
+    if (!file) return;
+    const { rows } = parseDelimited(await file.text());
+    const columns = rows.length ? performanceColumns(rows[0]) : null;
+    if (!columns || rows.length < 2) {
+      window.alert(`${file.name} has no rows to import.`);
+      return;
+    }
+    if (columns.id < 0 && columns.text < 0) {
+      window.alert(`${file.name} needs an “Ad ID” column (as in the traceable exports) or a “Final text” column to match rows to ads.`);
+      return;
+    }
+    if (Object.keys(columns.metrics).length === 0) {
+      window.alert(`No metric columns found in ${file.name}. Expected some of: ${PERFORMANCE_METRICS.map(m => m.label).join(", ")}.`);
+      return;
+    }
+    const knownIds = new Set(sections.flatMap(sec => sec.items.map(it => it.id)));
+    // ads by their text, composed only if some row has to be matched that way
+    let byText = null;
+    const adByText = (text) => {
+      if (!byText) {
+        byText = new Map();
+        const scan = adCount < BigInt(PERFORMANCE_TEXT_SCAN) ? Number(adCount) : PERFORMANCE_TEXT_SCAN;
+        for (let pos = 0; pos < scan; pos++) {
+          const ad = adAt(pos);
+          const key = buildAd(ad).replace(/\r\n/g, "\n").trim();
+          if (!byText.has(key)) byText.set(key, ad);
+        }
+      }
+      return byText.get(text.replace(/\r\n/g, "\n").trim());
+    };
+    /** @type {PerformanceRecord[]} */
+    const records = [];
+    let byId = 0, byAdText = 0, unmatched = 0;
+    rows.slice(1).forEach(row => {
+      const metrics = readMetrics(row, columns.metrics);
+      if (Object.keys(metrics).length === 0) return;
+      const id = columns.id >= 0 ? (row[columns.id] || "").trim() : "";
+      const itemIds = id ? adItemIds(id).filter(x => knownIds.has(x)) : [];
+      if (itemIds.length) { records.push({ id, itemIds, metrics }); byId++; return; }
+      const ad = columns.text >= 0 && row[columns.text] ? adByText(row[columns.text]) : null;
+      if (ad) { records.push({ id: adId(ad.combo), itemIds: adLineIds(ad), metrics }); byAdText++; return; }
+      unmatched++;
+    });
+    if (records.length === 0) {
+      window.alert(`None of the ${(rows.length - 1).toLocaleString()} rows in ${file.name} matched an ad.`);
+      return;
+    }
+    setPerformance({ fileName: file.name, importedAt: new Date().toISOString(), records });
+    window.alert([
+      `Imported results for ${records.length.toLocaleString()} ad(s) from ${file.name}`
+        + (byId && byAdText ? ` (${byId.toLocaleString()} by ad ID, ${byAdText.toLocaleString()} by text).` : "."),
+      unmatched ? `${unmatched.toLocaleString()} row(s) didn’t match any ad${columns.text >= 0 && adCount > BigInt(PERFORMANCE_TEXT_SCAN) ? ` (text is matched against the first ${PERFORMANCE_TEXT_SCAN.toLocaleString()} ads)` : ""}.` : "",
+    ].filter(Boolean).join("\n"));
   };
 
-  const preview = useMemo(() => generatePreview(), [sections, includeHeadings, separator, maxForPreview, overrides, currentIndex]);
+  const performanceByItem = useMemo(() => indexPerformance(performance), [performance]);
+  const performanceBySection = useMemo(() => sectionPerformance(performanceByItem, sections), [performanceByItem, sections]);
+
+  const preview = useMemo(() => generatePreview(), [buildAd, adAt, adCount, maxForPreview]);
+
+  // Duplicate review: worked out when asked for (it composes up to DUPLICATE_AD_SCAN ads), and
+  // kept as a snapshot that goes stale once the lines or ads it was made from change
+  const scanDuplicates = () => {
+    const lines = sections.flatMap(section => duplicateLineGroups(section.items).map(group => ({ section, ...group })));
+    const scanned = adCount < BigInt(DUPLICATE_AD_SCAN) ? Number(adCount) : DUPLICATE_AD_SCAN;
+    const byText = new Map();
+    for (let pos = 0; pos < scanned; pos++) {
+      const text = buildAd(adAt(pos));
+      if (byText.has(text)) byText.get(text).push(pos); else byText.set(text, [pos]);
+    }
+    const ads = Array.from(byText, ([text, positions]) => ({ text, positions })).filter(g => g.positions.length > 1);
+    setDuplicateReport({ lines, ads, scanned, from: { sections, adAt, buildAd } });
+  };
+  const duplicatesStale = !!duplicateReport && (duplicateReport.from.sections !== sections || duplicateReport.from.adAt !== adAt || duplicateReport.from.buildAd !== buildAd);
 
   // ---------- Tiny Test Runner (dev) ----------
   const testResults = useMemo(() => {
@@ -411,7 +4340,15 @@ export default function AdVariationsBuilder() {
     const s2 = { id: "b", name: "B", enabled: true, items: [{ id: "3", text: "z" }] };
     const s3 = { id: "c", name: "C", enabled: false, items: [{ id: "4", text: "q" }] };
     const pc = productCount([s1, s2, s3]);
-    results.push({ name: "productCount basic", pass: pc === 2 });
+    results.push({ name: "productCount basic", pass: pc === 2n });
+    const emptySec = { id: "e", name: "E", enabled: true, items: [] };
+    results.push({ name: "empty sections take no part", pass: productCount([s1, emptySec]) === 2n && participatingSections([s1, emptySec, s3]).length === 1 });
+    const wide = Array.from({ length: 15 }, (_, i) => ({ id: `w${i}`, name: `W${i}`, enabled: true, items: Array.from({ length: 20 }, (_, v) => ({ id: `w${i}:${v}`, text: String(v) })) }));
+    const wideLists = wide.map(sectionChoices);
+    const lastAd = getCombinationAt(productCount(wide) - 1n, wideLists);
+    const nearEnd = getCombinationAt(2n ** 60n + 7n, wideLists);
+    results.push({ name: "counts and indexes past 2^53 exactly", pass: productCount(wide) === 20n ** 15n && lastAd.every(it => it.text === "19")
+      && indexFromChoices(nearEnd.map(it => Number(it.text)), wideLists.map(l => l.length)) === 2n ** 60n + 7n });
 
     // cartesianGenerator tests
     const listsTest = [[{ id: "1", text: "A" }, { id: "2", text: "B" }], [{ id: "3", text: "C" }]];
@@ -432,6 +4369,288 @@ export default function AdVariationsBuilder() {
     const got = getCombinationAt(1, [[{id:"a"},{id:"b"}], [{id:"c"}]]);
     results.push({ name: "getCombinationAt index 1", pass: Array.isArray(got) && got[0].id === "b" && got[1].id === "c" });
 
+    // override keys & carry-forward tests
+    results.push({ name: "comboKey ignores section order", pass: comboKey([{ id: "3" }, { id: "1" }]) === comboKey([{ id: "1" }, { id: "3" }]) });
+    const ovs = { [comboKey([{ id: "1" }, { id: "3" }])]: { text: "edited" }, "1|9": { text: "gone" } };
+    const withNew = [s1, s2, { id: "d", name: "D", enabled: true, items: [{ id: "5", text: "w" }] }];
+    const carried = lookupOverride(resolveOverrides(ovs, withNew), [{ id: "1" }, { id: "3" }, { id: "5" }]);
+    results.push({ name: "override carries forward to added section", pass: carried?.text === "edited" });
+    const toggled = resolveOverrides(ovs, [s1, { ...s2, enabled: false }]);
+    results.push({ name: "override carries forward when section toggled off", pass: lookupOverride(toggled, [{ id: "1" }])?.text === "edited" });
+    results.push({ name: "override with deleted item is orphaned", pass: toggled.orphans.length === 1 && toggled.orphans[0].key === "1|9" });
+
+    // legacy storage migration tests
+    results.push({ name: "no legacy keys -> no migration", pass: readLegacyProject(() => null) === null });
+    const legacyStore = { "avb.sections": JSON.stringify([s1]), "avb.overrides": JSON.stringify({ "0": { text: "x" }, "1|3": { text: "y" } }), "avb.headings": "1" };
+    const legacy = readLegacyProject((k) => legacyStore[k] ?? null);
+    results.push({ name: "legacy keys migrate into a project", pass: legacy.sections[0].id === "a" && legacy.includeHeadings && Object.keys(legacy.overrides).join() === "1|3" && legacy.separator === "\n\n" });
+
+    // project file tests
+    const fileData = { ...defaultProjectData(), sections: [s1, s2], overrides: { "1|3": { text: "t" } }, includeHeadings: true, separator: " / ", maxForPreview: 5, maxForZip: 100 };
+    const roundTrip = parseProjectFile(JSON.stringify(buildProjectFile("Camp", fileData)));
+    results.push({ name: "project file round trip", pass: roundTrip.errors.length === 0 && roundTrip.name === "Camp" && roundTrip.data.separator === " / " });
+    const v1 = { format: PROJECT_FILE_FORMAT, version: 1, name: "Old", project: { sections: [s1], overrides: { "1|3": { text: "x" } }, includeHeadings: false, separator: "\n", maxForPreview: 20, maxForZip: 3000 } };
+    const migrated = parseProjectFile(JSON.stringify(v1));
+    results.push({ name: "project file v1 migrates", pass: migrated.errors.length === 0 && migrated.data.overrides["1|3"].text === "x" && migrated.data.generation.mode === "all" && migrated.data.rules.length === 0 });
+    const bad = parseProjectFile(JSON.stringify(buildProjectFile("Bad", { ...fileData, sections: [{ ...s1, items: [{ id: "1", text: 7 }] }] })));
+    results.push({ name: "project file reports bad fields", pass: bad.errors.length === 1 && bad.errors[0].includes("sections[0].items[0].text") });
+    const reviewed = parseProjectFile(JSON.stringify(buildProjectFile("R", { ...fileData, overrides: { "1|3": { status: "approved", note: "ok" }, "2|3": { status: "maybe" } } })));
+    results.push({ name: "project file checks review statuses", pass: reviewed.errors.length === 1 && reviewed.errors[0].includes("status") && migrated.data.approvedOnly === false });
+    results.push({ name: "project file rejects non-JSON", pass: parseProjectFile("{oops").errors[0].startsWith("File is not valid JSON") });
+
+    // history tests
+    const e0 = { doc: { sections: [s1], overrides: {} }, past: [], future: [] };
+    const e1 = { doc: { sections: [s1, s2], overrides: {} }, ...pushHistory(e0, { label: "Add" }, 0) };
+    const e2 = { doc: { sections: [s2], overrides: {} }, ...pushHistory(e1, { label: "Type", coalesceKey: "k" }, 10) };
+    const e3 = { doc: { sections: [], overrides: {} }, ...pushHistory(e2, { label: "Type", coalesceKey: "k" }, 20) };
+    results.push({ name: "history coalesces typing", pass: e3.past.length === 2 && e3.past[1].doc === e1.doc });
+    const undone = stepHistory(e3, -2);
+    results.push({ name: "history undo/redo", pass: undone.doc === e0.doc && undone.future.length === 2 && stepHistory(undone, 1).doc === e1.doc });
+    results.push({ name: "describe line edit", pass: describeSectionEdit(s1, { ...s1, items: [s1.items[0], { id: "2", text: "yy" }] }).coalesceKey === "item:2" });
+
+    // sampling tests
+    const sizes = [8, 6, 10, 4];
+    const sizesSpace = createComboSpace(sizes, null);
+    const sampleA = sampleCombinationIndices(sizesSpace, { sampleSize: 50, seed: "s", balanced: false });
+    const sampleB = sampleCombinationIndices(sizesSpace, { sampleSize: 50, seed: "s", balanced: false });
+    results.push({ name: "sample is distinct & reproducible", pass: new Set(sampleA).size === 50 && sampleA.join() === sampleB.join() });
+    const hugeSample = sampleCombinationIndices(createComboSpace(wideLists.map(l => l.length), null), { sampleSize: 20, seed: "h", balanced: false });
+    results.push({ name: "samples reach the whole of a huge space", pass: new Set(hugeSample).size === 20 && hugeSample.some(idx => idx > 2n ** 53n) });
+    const balancedSample = sampleCombinationIndices(sizesSpace, { sampleSize: 48, seed: "b", balanced: true });
+    const hookCounts = Array(8).fill(0);
+    balancedSample.forEach(idx => { hookCounts[Number(idx / BigInt(6 * 10 * 4))]++; });
+    results.push({ name: "balanced sample spreads items evenly", pass: new Set(balancedSample).size === 48 && hookCounts.every(c => c === 6) });
+    const wideBalanced = sampleCombinationIndices(createComboSpace([2 ** 40, 3], null), { sampleSize: 30, seed: "w", balanced: true });
+    const wideThirds = Array(3).fill(0);
+    wideBalanced.forEach(idx => { wideThirds[Number(idx % 3n)]++; });
+    results.push({ name: "balanced sample deals from huge sections", pass: new Set(wideBalanced.map(idx => idx / 3n)).size === 30 && wideThirds.every(c => c === 10) });
+    results.push({ name: "sample larger than total returns all", pass: sampleCombinationIndices(createComboSpace([2, 2], null), { sampleSize: 9, seed: "x", balanced: true }).join() === "0,1,2,3" });
+    // pairwise tests
+    const pwSizes = [3, 3, 3, 3];
+    const pw = pairwiseCoveringIndices(createComboSpace(pwSizes, null), "p");
+    const pwLists = pwSizes.map((n, i) => Array.from({ length: n }, (_, v) => ({ id: `${i}:${v}` })));
+    const seenPairs = new Set();
+    pw.forEach(idx => {
+      const c = getCombinationAt(idx, pwLists);
+      c.forEach((a, i) => c.slice(i + 1).forEach(b => seenPairs.add(`${a.id}|${b.id}`)));
+    });
+    results.push({ name: "pairwise covers every pair", pass: seenPairs.size === 6 * 9 });
+    results.push({ name: "pairwise set is small", pass: pw.length < 81 / 4, details: `${pw.length} of 81` });
+    results.push({ name: "pairwise refuses oversized spaces", pass: pairwiseCoveringIndices(createComboSpace([400, 400], null), "p") === null });
+    // compatibility rule tests
+    const ruleSecs = [
+      { id: "h", name: "H", enabled: true, items: [{ id: "h0", text: "" }, { id: "h1", text: "" }, { id: "h2", text: "" }] },
+      { id: "b", name: "B", enabled: true, items: [{ id: "b0", text: "" }, { id: "b1", text: "" }] },
+      { id: "c", name: "C", enabled: true, items: [{ id: "c0", text: "" }, { id: "c1", text: "" }, { id: "c2", text: "" }] },
+    ];
+    const ruleList = [
+      { id: "r1", itemId: "h0", type: "requires", targetItemId: "c2" },
+      { id: "r2", itemId: "b1", type: "excludes", targetItemId: "c0" },
+      { id: "r3", itemId: "h2", type: "excludes", targetSectionId: "b" },
+    ];
+    const compiledTest = compileRules(ruleList, ruleSecs);
+    const ruleSpace = createComboSpace([3, 2, 3], compiledTest);
+    const ruleLists = ruleSecs.map(sec => sec.items);
+    const brute = [];
+    for (let idx = 0; idx < 18; idx++) {
+      const ids = getCombinationAt(idx, ruleLists).map(it => it.id);
+      const ok = !(ids.includes("h0") && !ids.includes("c2")) && !(ids.includes("b1") && ids.includes("c0")) && !(ids.includes("h2") && ids.includes("b1"));
+      if (ok) brute.push(idx);
+    }
+    results.push({ name: "rules: valid count matches brute force", pass: ruleSpace.count === BigInt(brute.length), details: `${ruleSpace.count} vs ${brute.length}` });
+    const walked = Array.from({ length: brute.length }, (_, pos) => ruleSpace.at(pos));
+    const jumped = Array.from({ length: brute.length }, (_, pos) => brute.length - 1 - pos).map(pos => ruleSpace.at(pos)).reverse();
+    results.push({ name: "rules: stepping and jumping agree", pass: walked.join() === brute.join() && jumped.join() === brute.join() });
+    results.push({ name: "rules: excluded section is hidden", pass: hiddenSectionIds([{ id: "h2" }, { id: "b0" }], compiledTest).has("b") });
+    const rulesPw = pairwiseCoveringIndices(ruleSpace, "r");
+    results.push({ name: "rules: all-pairs only uses valid ads", pass: rulesPw.length > 0 && rulesPw.every(idx => brute.includes(Number(idx))) });
+    results.push({ name: "rules: sample only uses valid ads", pass: sampleCombinationIndices(ruleSpace, { sampleSize: 4, seed: "r", balanced: true }).every(idx => brute.includes(Number(idx))) });
+    // search tests: lines first, checked against every ad
+    const searchHits = [new Set([1]), new Set(), new Set([0])];
+    const uses = (idx) => { const c = choicesFromIndex(idx, [3, 2, 3]); return c[0] === 1 || c[2] === 0; };
+    const ruleMatches = brute.map((idx, pos) => (uses(idx) ? BigInt(pos) : null)).filter(pos => pos !== null);
+    const ruleSearch = planSearch({ space: ruleSpace, adCount: ruleSpace.count }, searchHits);
+    results.push({ name: "search counts and lists ads under rules", pass: ruleSearch.count === BigInt(ruleMatches.length) && ruleSearch.from(0n, 99).join() === ruleMatches.join() && ruleSearch.from(ruleMatches[1] + 1n, 2).join() === ruleMatches.slice(2, 4).join() });
+    const openSpace = createComboSpace([3, 2, 3], null);
+    const openMatches = Array.from({ length: 18 }, (_, idx) => idx).filter(uses);
+    const openSearch = planSearch({ space: openSpace, adCount: openSpace.count }, searchHits);
+    results.push({ name: "search counts and lists ads without rules", pass: openSearch.count === 10n && openSearch.from(0n, 99).join() === openMatches.join() });
+    const hideSecs = [
+      { id: "H", name: "H", enabled: true, items: [{ id: "h0", text: "apple" }, { id: "h1", text: "pear" }] },
+      { id: "B", name: "B", enabled: true, items: [{ id: "b0", text: "apple pie" }, { id: "b1", text: "plum" }] },
+    ];
+    const hidePlan = planRecipe(hideSecs, null, [], [{ id: "x", itemId: "h1", type: "excludes", targetSectionId: "B" }]);
+    const appleSearch = (ovs) => searchPlan({ ...hidePlan, adCount: hidePlan.space.count, resolved: resolveOverrides(ovs, hideSecs) }, searchPattern("apple", { regex: false, caseSensitive: false }).pattern, "", t => t);
+    const linesOnly = appleSearch({});
+    const withEdits = appleSearch({ "b1|h0": { excludedIds: ["H"] }, "b0|h1": { text: "Apple juice" } });
+    results.push({ name: "search skips hidden lines and checks edited ads", pass: linesOnly.count === 2n && linesOnly.from(0n, 9).join() === "0,1"
+      && withEdits.count === 2n && withEdits.from(0n, 9).join() === "0,2" && withEdits.from(1n, 9).join() === "2" && withEdits.exact });
+    const vastSecs = [
+      { id: "A", name: "A", enabled: true, items: [{ id: "a0", text: "apple" }, { id: "a1", text: "pear" }] },
+      { id: "V", name: "Vast", enabled: true, items: [{ id: "v0", text: "{a|b}".repeat(30) }] },
+      { id: "C", name: "C", enabled: true, items: [{ id: "c0", text: "plum" }, { id: "c1", text: "apple tart" }] },
+    ];
+    const vastSearchPlan = planRecipe(vastSecs, null, [], []);
+    const vastSearch = searchPlan({ ...vastSearchPlan, adCount: vastSearchPlan.space.count, resolved: resolveOverrides({ "a1|v0#5": { text: "apple" } }, vastSecs) },
+      searchPattern("apple", { regex: false, caseSensitive: false }).pattern, "", t => t);
+    results.push({ name: "search leaves out sections with too many choices", pass: vastSearch.count === 3n * 2n ** 30n && vastSearch.unsearched.join() === "Vast" && !vastSearch.exact
+      && vastSearch.from(2n ** 31n, 3).join() === [1n, 3n, 5n].map(n => 2n ** 31n + n).join() });
+    results.push({ name: "search patterns escape text and report bad regexes", pass: matchRanges("a.b axb A.B", searchPattern("a.b", { regex: false, caseSensitive: true }).pattern).length === 1
+      && matchRanges("a.b axb A.B", searchPattern("a.b", { regex: true, caseSensitive: false }).pattern).length === 3 && searchPattern("(", { regex: true, caseSensitive: false }).error !== "" });
+    const snippet = snippetParts("x".repeat(60) + "hit" + "y".repeat(100), [[60, 63]], 10);
+    results.push({ name: "snippets cut around the first match", pass: snippet.map(p => (p.hit ? `[${p.text}]` : p.text)).join("") === `…${"x".repeat(10)}[hit]${"y".repeat(20)}…` });
+    // optional section tests
+    const optSec = { ...s2, optional: true };
+    results.push({ name: "optional section adds an omit choice", pass: productCount([s1, optSec]) === 4n && sectionChoices(optSec).at(0).omitted === true });
+    const optRules = compileRules([{ id: "o", itemId: "1", type: "excludes", targetSectionId: "b" }], [s1, optSec]);
+    const optSpace = createComboSpace([2, 2], optRules);
+    const optLists = [s1.items, sectionChoices(optSec)];
+    const optIds = Array.from({ length: Number(optSpace.count) }, (_, pos) => comboKey(getCombinationAt(optSpace.at(pos), optLists)));
+    results.push({ name: "excluded optional section is omitted", pass: optSpace.count === 3n && optIds.includes(comboKey([{ id: "1" }, { id: "omit:b" }])) && !optIds.includes("1|3") });
+    const vastSec = { id: "v", name: "Vast", enabled: true, items: [{ id: "v1", text: "{a|b}".repeat(30) }] };
+    const vastPlan = planRecipe([s1, vastSec], null, [], [{ id: "vr", itemId: "1", type: "excludes", targetSectionId: "v" }]);
+    results.push({ name: "rules switch off past the choice cap", pass: vastPlan.space.count === 2n * 2n ** 30n && vastPlan.compiled.tooLarge.join() === "Vast" && vastPlan.compiled.skipped.length === 1 });
+    // multi-pick tests
+    const pool = { id: "p", name: "P", enabled: true, pickCount: 2, items: ["a", "b", "c", "d"].map(id => ({ id, text: id.toUpperCase() })) };
+    const subsets = pickChoices(pool);
+    results.push({ name: "pick 2 of 4 unordered", pass: subsets.length === 6 && subsets.at(0).id === "a+b" && subsets.at(5).id === "c+d" && subsets.at(2).text === "A\nD" });
+    const orderedPicks = pickChoices({ ...pool, pickOrdered: true });
+    results.push({ name: "pick 2 of 4 ordered", pass: orderedPicks.length === 12 && orderedPicks.at(3).id === "b+a" && orderedPicks.at(11).id === "d+c" });
+    const pickRules = compileRules([{ id: "pr", itemId: "1", type: "requires", targetItemId: "c" }], [s1, pool]);
+    const pickSpace = createComboSpace([2, 6], pickRules);
+    results.push({ name: "rules reach into multi-pick sections", pass: pickSpace.count === 9n });
+    const cPositions = choicePositions(pool, sectionChoices(pool));
+    results.push({ name: "rule positions are indexed once per section", pass: cPositions.get("c").join() === "1,3,5" && choicePositions({ ...pool }, sectionChoices(pool)) === cPositions && choicePositions({ ...pool, pickOrdered: true }, orderedPicks).get("c").length === 6 });
+    const pickOv = resolveOverrides({ "1|a+b": { text: "x" }, "1|b+a": { text: "y" } }, [s1, pool]);
+    results.push({ name: "multi-pick override keys resolve", pass: lookupOverride(pickOv, [{ id: "1" }, subsets.at(0)])?.text === "x" && pickOv.orphans.length === 1 });
+    // section order tests
+    const ordersTest = orderChoices([{ id: "o2", sectionIds: ["b", "a"] }], [s1, s2]);
+    const arranged = arrangeCombo([s1.items[0], s2.items[0], ordersTest[1]], [s1, s2]).map(p => p.section.id).join();
+    results.push({ name: "section order rearranges an ad", pass: ordersTest.length === 2 && ordersTest[1].text === "B → A" && arranged === "b,a" });
+    results.push({ name: "base order keeps section order", pass: arrangeCombo([s1.items[0], s2.items[0], ordersTest[0]], [s1, s2]).map(p => p.section.id).join() === "a,b" });
+    const orderOv = resolveOverrides({ "1|3": { text: "before orders" } }, [s1, s2], { orderIds: ["order:base", "order:o2"] });
+    results.push({ name: "edits carry forward into new orders", pass: lookupOverride(orderOv, [{ id: "1" }, { id: "3" }, { id: "order:o2" }])?.text === "before orders" });
+    // spintax & variable tests
+    const spun = parseSpintax("Tired of {your job|the night shifts|burnout}?");
+    results.push({ name: "spintax counts options", pass: spun.count === 3 && expandSpintax(spun.root, 1) === "Tired of the night shifts?" });
+    const nested = parseSpintax("{a|{b|c}} {x|y}");
+    results.push({ name: "nested spintax expands every version", pass: nested.count === 6 && expandSpintax(nested.root, 5) === "c y" });
+    const broken = parseSpintax("Oops {a|b and }} {{price");
+    results.push({ name: "malformed braces are reported", pass: broken.count === 1 && broken.errors.length === 2 });
+    results.push({ name: "variables fill known names only", pass: fillVariables("{{product}} for {{ price }} {{other}}", [{ id: "v", name: "product", value: "Course" }, { id: "w", name: "price", value: "$9" }]) === "Course for $9 {{other}}" });
+    const spinSec = { id: "sp", name: "Sp", enabled: true, items: [{ id: "p", text: "{A|B}" }, { id: "q", text: "C" }] };
+    results.push({ name: "spintax expansions count in totals", pass: productCount([s1, spinSec]) === 6n && sectionChoices(spinSec).at(1).id === "p#1" });
+    const pickSpin = { ...spinSec, pickCount: 2 };
+    const pickTexts = Array.from({ length: pickChoices({ ...pickSpin, pickOrdered: true }).length }, (_, i) => pickChoices({ ...pickSpin, pickOrdered: true }).at(i).text.replace("\n", ""));
+    results.push({ name: "picks combine spintax versions", pass: pickChoices(pickSpin).length === 2 && pickTexts.join() === "AC,BC,CA,CB" });
+    results.push({ name: "spintax past the version cap is used as written", pass: parseSpintax("{a|b}".repeat(41)).count === 1 && parseSpintax("{a|b}".repeat(40)).count === 2 ** 40 });
+    const widePool = { id: "w", name: "W", enabled: true, pickCount: 30, items: Array.from({ length: 60 }, (_, i) => ({ id: `w${i}`, text: `${i}` })) };
+    const widePicks = pickChoices(widePool);
+    // C(60, 20) is the largest group count under 2^52; the last group is the last 20 lines
+    results.push({ name: "picks stop short of inexact counts", pass: pickSize(widePool) === 20 && widePicks.length === 4191844505805495 && widePicks.at(widePicks.length - 1).id === "w40+w41+w42+w43+w44+w45+w46+w47+w48+w49+w50+w51+w52+w53+w54+w55+w56+w57+w58+w59" });
+    const spinOv = resolveOverrides({ "p#1": { text: "B edit" }, "p#5": { text: "gone" } }, [spinSec]);
+    results.push({ name: "edits follow spintax versions", pass: lookupOverride(spinOv, [{ id: "p#1" }])?.text === "B edit" && spinOv.orphans.length === 1 });
+
+    // platform limit tests
+    results.push({ name: "limits check whole ads", pass: limitViolations("x".repeat(126), [], activeLimits({ ...defaultLimitSettings(), profile: "meta" })).length === 1 });
+    const rsa = activeLimits({ ...defaultLimitSettings(), profile: "google-headline" });
+    results.push({ name: "limits check each line", pass: limitViolations("short\n" + "y".repeat(31), ["short", "y".repeat(31)], rsa).length === 1 && limitViolations("ok", ["ok"], rsa).length === 0 });
+    results.push({ name: "emoji count as one character", pass: charCount("🚀🚀") === 2 });
+
+    // Google Ads export tests
+    const rsaSettings = { ...defaultGoogleAdsSettings(), campaign: "C", adGroup: "G", finalUrl: "https://example.com", fields: { h: "headline", d: "description" } };
+    const rsa1 = googleRsaRow([{ sectionId: "h", text: "One\nTwo\nThree" }, { sectionId: "d", text: "Desc one\nDesc two" }, { sectionId: "x", text: "ignored" }], rsaSettings);
+    results.push({ name: "RSA row maps sections to fields", pass: rsa1.problems.length === 0 && rsa1.row.length === GOOGLE_RSA_COLUMNS.length && rsa1.row[3] === "One" && rsa1.row[18] === "Desc one" });
+    const rsa2 = googleRsaRow([{ sectionId: "h", text: "x".repeat(31) }], { ...rsaSettings, finalUrl: "" });
+    results.push({ name: "RSA row reports Google's limits", pass: rsa2.problems.some(p => p.includes("31/30")) && rsa2.problems.some(p => p.includes("no final URL")) });
+    results.push({ name: "CSV quotes commas, quotes and newlines", pass: toCsv([["a,b", "say \"hi\"", "two\nlines", "plain"]]) === '"a,b","say ""hi""","two\nlines",plain\r\n' });
+
+    // Meta Ads export tests
+    const metaSettings = { ...defaultMetaAdsSettings(), campaign: "C", adSet: "S", link: "https://example.com", fields: { p: "primaryText", h: "headline", c: "cta" } };
+    const meta1 = metaAdRow([{ sectionId: "p", text: "Hook" }, { sectionId: "p", text: "Body" }, { sectionId: "h", text: "Title" }, { sectionId: "c", text: "Shop now" }], metaSettings, "Ad 1");
+    results.push({ name: "Meta row joins primary text and maps CTA", pass: meta1.errors.length === 0 && meta1.row[3] === "Hook\n\nBody" && meta1.row[4] === "Title" && meta1.row[6] === "SHOP_NOW" });
+    const meta2 = metaAdRow([{ sectionId: "p", text: "x".repeat(130) }, { sectionId: "c", text: "DM me" }], metaSettings, "Ad 2");
+    results.push({ name: "Meta row reports bad CTA and long text", pass: meta2.errors.length === 1 && meta2.warnings.length === 1 });
+
+    results.push({ name: "ad IDs ignore position and section order", pass: adId([{ id: "b" }, { id: "a" }]) === adId([{ id: "a" }, { id: "b" }]) });
+
+    // spreadsheet import tests
+    const sheet = parseDelimited('Hook,Body\r\n"Line, one","Multi\nline ""quoted"""\r\nTwo,\r\n');
+    results.push({ name: "CSV import handles quotes and line breaks", pass: sheet.errors.length === 0 && sheet.rows.length === 3 && sheet.rows[1][0] === "Line, one" && sheet.rows[1][1] === 'Multi\nline "quoted"' });
+    results.push({ name: "TSV is detected from the header", pass: parseDelimited("A\tB\nx\ty").delimiter === "\t" });
+    const sheetCols = spreadsheetColumns(sheet.rows, [{ ...s1, name: "hook" }]);
+    const imported = applySpreadsheetColumns([{ ...s1, name: "hook" }], [{ ...sheetCols[0], mode: "replace" }, sheetCols[1]]);
+    results.push({ name: "spreadsheet columns map to sections", pass: sheetCols[0].target === "a" && sheetCols[1].target === "new" && imported[0].items.length === 2 && imported[1].name === "Body" && imported[1].items.length === 1 });
+
+    // recipe tests
+    const shortForm = { id: "r1", name: "Short", sectionIds: ["b", "a"] };
+    const scoped = recipeSections([s1, { ...s2, enabled: false }, s3], shortForm);
+    results.push({ name: "recipe picks and orders sections", pass: scoped.filter(x => x.enabled).map(x => x.id).join() === "b,a" && !scoped.find(x => x.id === "c").enabled });
+    const recipePlan = planRecipe([s1, s2, s3], { ...shortForm, sectionIds: ["a"] }, [], []);
+    results.push({ name: "recipe plan counts its own sections", pass: recipePlan.space.count === 2n && recipePlan.lists.length === 2 });
+    results.push({ name: "empty recipe has no ads", pass: planRecipe([s1], { ...shortForm, sectionIds: [] }, [], []).space.count === 0n });
+    const recipeOvs = { "1|3|recipe:r1": { text: "short edit" }, "1|recipe:gone": { text: "old" } };
+    const inOther = resolveOverrides(recipeOvs, [s1, s2], { recipeId: "r2", recipeIds: ["r1", "r2"] });
+    const inOwn = resolveOverrides(recipeOvs, [s1, s2], { recipeId: "r1", recipeIds: ["r1", "r2"] });
+    results.push({ name: "recipe edits stay in their recipe", pass: lookupOverride(inOther, [{ id: "1" }, { id: "3" }, { id: "recipe:r2" }]) === null
+      && lookupOverride(inOwn, [{ id: "1" }, { id: "3" }, { id: "recipe:r1" }])?.text === "short edit" && inOther.orphans.length === 1 });
+    results.push({ name: "indexFromChoices inverts getCombinationAt", pass: indexFromChoices([1, 0], [2, 1]) === 1n });
+    // duplicate tests
+    const dupItems = ["Ready to quit?", "ready to quit", "Your body is tired, and so is your mind.", "Your body is tired and so is your mind", "Something else", ""].map((text, i) => ({ id: `d${i}`, text }));
+    const dupGroups = duplicateLineGroups([...dupItems, { id: "d6", text: "" }, { id: "d7", text: "Your body is tired, and so is your mind!!" }]);
+    results.push({ name: "duplicate lines group exact and near", pass: dupGroups.length === 2 && dupGroups[0].kind === "exact" && dupGroups[0].items.map(it => it.id).join() === "d0,d1" && dupGroups[1].items.length === 3 });
+    results.push({ name: "different short lines are not near duplicates", pass: duplicateLineGroups([{ id: "a", text: "Yes" }, { id: "b", text: "No" }, { id: "c", text: "Now" }]).length === 0 });
+    const merged = mergeLines({ sections: [s1], rules: [{ id: "m1", itemId: "2", type: "requires", targetItemId: "3" }, { id: "m2", itemId: "1", type: "requires", targetItemId: "3" }] }, "1", ["2"]);
+    results.push({ name: "merging lines moves their rules", pass: merged.sections[0].items.length === 1 && merged.rules.length === 1 && merged.rules[0].itemId === "1" });
+
+    // performance data tests
+    const metaCols = performanceColumns(["Ad ID", "Impressions", "Link clicks", "CTR (link click-through rate)", "Results", "Cost per result", "Amount spent (USD)"]);
+    const googleCols = performanceColumns(["Final text", "Impr.", "Clicks", "CTR", "Conversions", "Cost / conv.", "Cost"]);
+    results.push({ name: "report columns are recognised", pass: metaCols.id === 0 && metaCols.metrics.cpa === 5 && metaCols.metrics.spend === 6
+      && googleCols.text === 0 && googleCols.metrics.impressions === 1 && googleCols.metrics.cpa === 5 && googleCols.metrics.spend === 6 });
+    const perfRow = readMetrics(["", "1,000", "", "2.5%", "", "$4.00", "$20.00"], { impressions: 1, ctr: 3, cpa: 5, spend: 6 });
+    results.push({ name: "report numbers are read", pass: perfRow.ctr === 0.025 && perfRow.clicks === 25 && perfRow.conversions === 5 });
+    const readNumbers = ["1.234,56", "1,234.56", "(12.50)", "2,5%", "€ 1.234.567", "EUR 12", "-3", ""].map(parseMetricNumber);
+    results.push({ name: "report numbers follow their locale", pass: readNumbers.slice(0, 7).join() === "1234.56,1234.56,-12.5,2.5,1234567,12,-3" && Number.isNaN(readNumbers[7]) });
+    results.push({ name: "ad IDs name their lines", pass: adItemIds("a#1|b+c|omit:s|order:base|recipe:r").join() === "a,b,c" });
+    const perfSecs = [{ id: "h", name: "H", enabled: true, items: [{ id: "h1", text: "" }, { id: "h2", text: "" }] }, { id: "c", name: "C", enabled: true, items: [{ id: "c1", text: "" }] }];
+    const perf = sectionPerformance(indexPerformance({ fileName: "r.csv", importedAt: "", records: [
+      { id: "c1|h1", itemIds: ["h1", "c1"], metrics: { impressions: 100, clicks: 4 } },
+      { id: "c1|h2", itemIds: ["h2", "c1"], metrics: { impressions: 100, clicks: 1 } },
+    ] }), perfSecs);
+    const h1 = perf.get("h").items.get("h1");
+    results.push({ name: "lines are ranked on their results", pass: perf.get("h").summary.ctr === 0.025 && h1.rank === 1 && Math.abs(h1.lift - 0.6) < 1e-9 && perf.get("h").items.get("h2").rank === 2 && perf.get("c").items.get("c1").ranked === 1 });
+
+    // file name tests
+    const nameFields = { index: "007", first: "Ready to quit?", recipe: "", status: "draft", flag: "", date: "2024-05-01", lines: new Map([["h", { text: "Big: News/Today", itemId: "h2" }]]) };
+    const defaultNames = parseFileNameTemplate(DEFAULT_FILE_NAME_TEMPLATE, perfSecs);
+    results.push({ name: "default file names keep the old pattern", pass: safeFileName(renderFileName(defaultNames.parts, nameFields), 120) === "007_ready-to-quit" });
+    const customNames = parseFileNameTemplate("{section:h:upper:8} {itemId:H}_{date}", perfSecs);
+    results.push({ name: "file name tokens fill from the ad", pass: customNames.errors.length === 0 && safeFileName(renderFileName(customNames.parts, nameFields), 120) === "BIG- NEW h2_2024-05-01" });
+    results.push({ name: "bad file name tokens are reported", pass: parseFileNameTemplate("{section:Nope}{idx}{first:shout}{index", perfSecs).errors.length === 4 });
+    results.push({ name: "file names are made safe", pass: safeFileName("a<b>:c\u0001__", 120) === "a-b-c" && safeFileName("CON", 120) === "CON_" && safeFileName("", 120) === "ad" && safeFileName("abcdef", 3) === "abc" });
+    const nameOnce = fileNamer(parseFileNameTemplate("{date}", []).parts, 10);
+    const namedFiles = [nameOnce(nameFields, "txt"), nameOnce(nameFields, "txt"), nameOnce(nameFields, "TXT")];
+    results.push({ name: "colliding file names are numbered", pass: namedFiles.join() === "2024-05-01.txt,2024-05-2.txt,2024-05-3.TXT" && nameOnce.renamed() === 2 });
+
+    const zipReplies = [];
+    const zipScope = { postMessage: (m) => zipReplies.push(m) };
+    zipWorkerMain(zipScope);
+    zipScope.onmessage({ data: { type: "files", files: [{ name: "a.txt", text: "hi" }] } });
+    zipScope.onmessage({ data: { type: "finish" } });
+    // one stored file: local header + name + data, central entry + name, end record
+    results.push({ name: "zip writer streams stored entries", pass: zipReplies[0].count === 1 && zipReplies[0].bytes === 37 && zipReplies[1].blob.size === 30 + 5 + 2 + 46 + 5 + 22 });
+    const zip64Replies = [];
+    const zip64Scope = { postMessage: (m) => zip64Replies.push(m) };
+    zipWorkerMain(zip64Scope, 30);
+    zip64Scope.onmessage({ data: { type: "files", files: [{ name: "a.txt", text: "hi" }, { name: "b.txt", text: "hi" }] } });
+    zip64Scope.onmessage({ data: { type: "finish" } });
+    // past the (lowered) 4 GB mark: b.txt's central entry carries a ZIP64 offset, and ZIP64 end records are added
+    results.push({ name: "zip writer switches to ZIP64 past 4 GB", pass: zip64Replies[1].blob.size === 2 * 37 + 2 * 51 + 12 + 76 + 22 });
+    const [manifestJson, manifestCsv] = zipManifestFiles([{ file: "01_a/1_x.txt", number: 1, adId: "c1|h1", recipe: "", order: "", itemIds: { h: "h1", c: "c1" }, excludedSections: ["C"], edited: true, status: "draft" }], perfSecs, 2);
+    results.push({ name: "zip manifest lists each file's lines", pass: JSON.parse(manifestJson.text).part === 2 && JSON.parse(manifestJson.text).files[0].itemIds.h === "h1"
+      && manifestCsv.text.split("\r\n")[1] === "01_a/1_x.txt,1,c1|h1,,,h1,c1,C,yes,draft" });
+
     return results;
   }, []);
 
@@ -439,11 +4658,11 @@ export default function AdVariationsBuilder() {
 
   // Flow diagram for current ad
   const Flow = () => {
-    const combo = getCombinationAt(currentIndex, lists) || [];
-    const ov = effectiveOverride(currentIndex);
-    const excluded = new Set(ov.excludedIds || []);
-    const nodes = combo.map((it, i) => ({ id: activeSections[i].id, label: activeSections[i].name, text: it.text }));
-    const visible = nodes.filter((n) => !excluded.has(n.id));
+    const combo = currentCombo;
+    const ov = effectiveOverride(currentAd);
+    const excluded = new Set([...(ov.excludedIds || []), ...hiddenSectionIds(combo, currentPlan.compiled)]);
+    const nodes = arrangeCombo(combo, currentPlan.activeSections).map(({ section, item }) => ({ id: section.id, label: section.name, text: item.text, omitted: item.omitted }));
+    const visible = nodes.filter((n) => !n.omitted && !excluded.has(n.id));
     const width = 760; const height = 140; const pad = 20;
     const step = visible.length ? (width - pad * 2) / visible.length : 1;
     return (
@@ -483,6 +4702,18 @@ export default function AdVariationsBuilder() {
             </div>
           </div>
           <div className="flex items-center gap-2">
+            <select value={activeProjectId} onChange={(e) => switchProject(e.target.value)} className="px-3 py-2 rounded-xl border bg-white text-sm max-w-[12rem]" aria-label="Project">
+              {projects.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            <button onClick={createProject} className="p-2 rounded-xl border hover:bg-gray-50" title="New project" aria-label="New project"><FilePlus className="w-4 h-4" /></button>
+            <button onClick={duplicateProject} className="p-2 rounded-xl border hover:bg-gray-50" title="Duplicate project" aria-label="Duplicate project"><Copy className="w-4 h-4" /></button>
+            <button onClick={renameProject} className="p-2 rounded-xl border hover:bg-gray-50" title="Rename project" aria-label="Rename project"><Pencil className="w-4 h-4" /></button>
+            <label className="p-2 rounded-xl border hover:bg-gray-50 cursor-pointer" title="Import project file" aria-label="Import project file">
+              <FileUp className="w-4 h-4" />
+              <input type="file" accept=".json,application/json" className="hidden" onChange={(e) => { importProject(e.target.files[0]); e.target.value = ""; }} />
+            </label>
+            <button onClick={exportProject} className="p-2 rounded-xl border hover:bg-gray-50" title="Export project file" aria-label="Export project file"><FileDown className="w-4 h-4" /></button>
+            <button onClick={deleteProject} className="p-2 rounded-xl border hover:bg-red-50 text-red-600" title="Delete project" aria-label="Delete project"><Trash2 className="w-4 h-4" /></button>
             <button onClick={resetDefaults} className="px-3 py-2 rounded-xl border hover:bg-gray-50 text-sm" title="Reset to defaults">
               Reset
             </button>
@@ -490,34 +4721,156 @@ export default function AdVariationsBuilder() {
         </div>
       </header>
 
+      {storageError && (
+        <div className="max-w-6xl mx-auto px-4 pt-4">
+          <div className="border border-red-200 bg-red-50 text-red-800 rounded-2xl p-4 text-sm flex items-center justify-between gap-2">
+            <span>{storageError}</span>
+            <button onClick={exportProject} className="px-2 py-1 rounded-lg border border-red-200 hover:bg-red-100 text-xs whitespace-nowrap">Export project</button>
+          </div>
+        </div>
+      )}
+
+      {importErrors && (
+        <div className="max-w-6xl mx-auto px-4 pt-4">
+          <div className="border border-red-200 bg-red-50 text-red-800 rounded-2xl p-4 text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <strong>Could not import {importErrors.fileName}</strong>
+              <button onClick={() => setImportErrors(null)} className="px-2 py-1 rounded-lg hover:bg-red-100 text-xs">Dismiss</button>
+            </div>
+            <ul className="mt-2 list-disc pl-5 space-y-1">
+              {importErrors.errors.slice(0, 20).map((err, i) => <li key={i}>{err}</li>)}
+            </ul>
+            {importErrors.errors.length > 20 && <div className="mt-1 text-xs">…and {importErrors.errors.length - 20} more.</div>}
+          </div>
+        </div>
+      )}
+
       <main className="max-w-6xl mx-auto px-4 py-6 grid lg:grid-cols-2 gap-6">
         {/* Left: Sections Builder */}
         <section>
           <div className="flex items-center justify-between mb-3">
             <h2 className="font-semibold text-lg">Sections</h2>
-            <button onClick={addSection} className="inline-flex items-center gap-2 px-3 py-2 rounded-xl bg-black text-white shadow-sm hover:opacity-90">
-              <Plus className="w-4 h-4" /> Add section
-            </button>
+            <div className="flex items-center gap-2">
+              <button onClick={undo} disabled={editor.past.length === 0} className="p-2 rounded-xl border hover:bg-gray-50 disabled:opacity-50" title="Undo (Ctrl+Z)" aria-label="Undo"><Undo2 className="w-4 h-4" /></button>
+              <button onClick={redo} disabled={editor.future.length === 0} className="p-2 rounded-xl border hover:bg-gray-50 disabled:opacity-50" title="Redo (Ctrl+Shift+Z)" aria-label="Redo"><Redo2 className="w-4 h-4" /></button>
+              <label className="p-2 rounded-xl border hover:bg-gray-50 cursor-pointer" title="Import a spreadsheet (CSV/TSV): one column per section" aria-label="Import spreadsheet">
+                <Upload className="w-4 h-4" />
+                <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" className="hidden" onChange={(e) => { importSpreadsheet(e.target.files[0]); e.target.value = ""; }} />
+              </label>
+              <button onClick={addSection} className="inline-flex items-center gap-2 px-3 py-2 rounded-xl bg-black text-white shadow-sm hover:opacity-90">
+                <Plus className="w-4 h-4" /> Add section
+              </button>
+            </div>
           </div>
 
+          {sheetImport && (
+            <SpreadsheetImport
+              key={sheetImport.fileName}
+              fileName={sheetImport.fileName}
+              parsed={sheetImport.parsed}
+              sections={sections}
+              onApply={(columns) => {
+                setSections(`Import ${sheetImport.fileName}`, prev => applySpreadsheetColumns(prev, columns));
+                setSheetImport(null);
+              }}
+              onCancel={() => setSheetImport(null)}
+            />
+          )}
+
+          {(editor.past.length > 0 || editor.future.length > 0) && (
+            <details className="mb-4 bg-white/80 border rounded-2xl p-3">
+              <summary className="cursor-pointer text-sm font-medium inline-flex items-center gap-2"><History className="w-4 h-4" /> History ({editor.past.length} {editor.past.length === 1 ? "step" : "steps"})</summary>
+              <ol className="mt-2 space-y-1 text-sm max-h-64 overflow-auto">
+                {editor.past.map((h, i) => (
+                  <li key={`p${i}`}>
+                    <button onClick={() => jumpHistory(i - editor.past.length)} className="w-full text-left px-2 py-1 rounded-lg hover:bg-gray-50">{h.label}</button>
+                  </li>
+                ))}
+                <li className="px-2 py-1 rounded-lg bg-gray-100 text-xs text-gray-600">Current state</li>
+                {editor.future.slice().reverse().map((h, i) => (
+                  <li key={`f${i}`}>
+                    <button onClick={() => jumpHistory(i + 1)} className="w-full text-left px-2 py-1 rounded-lg hover:bg-gray-50 text-gray-400 line-through">{h.label}</button>
+                  </li>
+                ))}
+              </ol>
+              <div className="text-xs text-gray-500 mt-1">Click a step to go back to just before it. Redo with Ctrl+Shift+Z.</div>
+            </details>
+          )}
+
           <DndContext sensors={sensorsMain} collisionDetection={closestCenter} onDragEnd={(event) => {
             const { active, over } = event;
             if (!over || active.id === over.id) return;
             const oldIndex = sections.findIndex(s => s.id === active.id);
             const newIndex = sections.findIndex(s => s.id === over.id);
-            setSections(arrayMove(sections, oldIndex, newIndex));
+            setSections("Reorder sections", prev => arrayMove(prev, oldIndex, newIndex));
           }}>
             <SortableContext items={sections.map(s => s.id)} strategy={verticalListSortingStrategy}>
               {sections.map((s) => (
                 <SortableSection
                   key={s.id}
                   section={s}
-                  onChange={(next) => setSections(prev => prev.map(x => x.id === next.id ? next : x))}
-                  onDelete={() => setSections(prev => prev.filter(x => x.id !== s.id))}
+                  variables={variables}
+                  lineLimit={limitsInForce.lineLimit}
+                  performance={performanceBySection.get(s.id)}
+                  onChange={(next) => {
+                    const { label, coalesceKey } = describeSectionEdit(s, next);
+                    setSections(label, prev => prev.map(x => x.id === next.id ? next : x), coalesceKey);
+                  }}
+                  onDelete={() => setSections(`Delete section “${s.name}”`, prev => prev.filter(x => x.id !== s.id))}
                 />
               ))}
             </SortableContext>
           </DndContext>
+
+          <SectionOrdersEditor
+            activeSections={currentPlan.activeSections}
+            baseHint={currentPlan.recipe ? `(${currentPlan.recipe.name} recipe)` : "(drag sections above)"}
+            orders={sectionOrders}
+            onAdd={() => setSectionOrders("Add section order", prev => [...prev, { id: uid(), sectionIds: currentPlan.activeSections.map(sec => sec.id) }])}
+            onChange={(next) => setSectionOrders("Change section order", prev => prev.map(o => o.id === next.id ? next : o))}
+            onDelete={(order) => setSectionOrders("Delete section order", prev => prev.filter(o => o.id !== order.id))}
+          />
+
+          <RecipesEditor
+            sections={sections}
+            recipes={recipes}
+            counts={new Map(recipePlans.slice(1).map(p => [p.recipe.id, p.space.count]))}
+            onAdd={() => {
+              const name = window.prompt("Name for the recipe", "Short form");
+              if (name === null) return;
+              setRecipes("Add recipe", prev => [...prev, { id: uid(), name: name.trim() || "Recipe", sectionIds: recipePlans[0].activeSections.map(sec => sec.id) }]);
+            }}
+            onChange={(next, label, coalesceKey) => setRecipes(label, prev => prev.map(r => r.id === next.id ? next : r), coalesceKey)}
+            onDelete={(recipe) => setRecipes(`Delete recipe “${recipe.name}”`, prev => prev.filter(r => r.id !== recipe.id))}
+          />
+
+          <VariablesEditor
+            variables={variables}
+            usedNames={usedVariableNames}
+            onAdd={(name) => setVariables("Add variable", prev => [...prev, { id: uid(), name, value: "" }])}
+            onChange={(next, label, coalesceKey) => setVariables(label, prev => prev.map(v => v.id === next.id ? next : v), coalesceKey)}
+            onDelete={(variable) => setVariables(`Delete variable “${variable.name}”`, prev => prev.filter(v => v.id !== variable.id))}
+          />
+
+          <RulesEditor
+            sections={sections}
+            rules={rules}
+            skipped={rules.filter(r => plans.every(p => p.compiled.skipped.some(x => x.id === r.id)))}
+            tooLarge={[...new Set(plans.flatMap(p => p.compiled.tooLarge))]}
+            onAdd={(rule) => setRules("Add rule", prev => [...prev, rule])}
+            onDelete={(rule) => setRules("Delete rule", prev => prev.filter(r => r.id !== rule.id))}
+          />
+
+          <DuplicatesPanel
+            report={duplicateReport}
+            stale={duplicatesStale}
+            adCount={adCount}
+            onScan={scanDuplicates}
+            onHide={() => setDuplicateReport(null)}
+            onMerge={(group) => applyEdit(`Merge ${group.items.length} lines in ${group.section.name}`, doc => mergeLines(doc, group.items[0].id, group.items.slice(1).map(it => it.id)))}
+            onDeleteLine={(section, item) => setSections(`Delete line from ${section.name}`, prev => prev.map(s => (s.id === section.id ? { ...s, items: s.items.filter(it => it.id !== item.id) } : s)))}
+            onShowAd={(pos) => setCurrentIndex(BigInt(pos))}
+          />
         </section>
 
         {/* Right: Explorer, Output & Export */}
@@ -528,7 +4881,7 @@ export default function AdVariationsBuilder() {
               <h2 className="font-semibold">Ad Explorer</h2>
               <div className="flex items-center gap-2">
                 <button onClick={prevIndex} className="px-2 py-2 rounded-xl border hover:bg-gray-50" title="Previous"><ChevronLeft className="w-4 h-4"/></button>
-                <div className="text-sm">{totalCombos === 0 ? 0 : currentIndex + 1} / {totalCombos}</div>
+                <div className="text-sm">{adCount === 0n ? 0 : (currentIndex + 1n).toLocaleString()} / {adCount.toLocaleString()}</div>
                 <button onClick={nextIndex} className="px-2 py-2 rounded-xl border hover:bg-gray-50" title="Next"><ChevronRight className="w-4 h-4"/></button>
               </div>
             </div>
@@ -536,21 +4889,84 @@ export default function AdVariationsBuilder() {
             <div className="grid gap-4 md:grid-cols-2">
               <label className="p-3 border rounded-xl flex items-center gap-2">
                 <Search className="w-4 h-4"/>
-                <input className="flex-1 outline-none" placeholder="Find text…" value={searchTerm} onChange={e=>setSearchTerm(e.target.value)} onKeyDown={(e)=>{ if(e.key==='Enter') findNext(); }} />
-                <button onClick={findNext} className="px-3 py-1 rounded-lg border hover:bg-gray-50 text-sm">Find next</button>
+                <input className="flex-1 outline-none" placeholder="Find text…" value={searchTerm} onChange={e=>setSearchTerm(e.target.value)} onKeyDown={(e)=>{ if(e.key==='Enter') runSearch(); }} />
+                <button onClick={runSearch} className="px-3 py-1 rounded-lg border hover:bg-gray-50 text-sm">Search</button>
               </label>
               <label className="p-3 border rounded-xl flex items-center gap-2">
-                <input type="number" min={1} max={Math.max(totalCombos,1)} className="w-24 border rounded-lg p-1" value={totalCombos===0?0:currentIndex+1} onChange={(e)=> setCurrentIndex(Math.min(Math.max(0, (Number(e.target.value)||1)-1), Math.max(totalCombos-1,0)))} />
+                <input type="text" inputMode="numeric" className="w-40 border rounded-lg p-1" value={adCount===0n?"0":String(currentIndex+1n)} onChange={(e)=> jumpTo(e.target.value)} />
                 <span className="text-sm text-gray-600">Jump to #</span>
               </label>
             </div>
+            <div className="mt-2 flex flex-wrap items-center gap-3 text-sm text-gray-600">
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={searchOptions.regex} onChange={(e) => setSearchOptions(o => ({ ...o, regex: e.target.checked }))} />
+                Regular expression
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={searchOptions.caseSensitive} onChange={(e) => setSearchOptions(o => ({ ...o, caseSensitive: e.target.checked }))} />
+                Match case
+              </label>
+              <label className="flex items-center gap-1">
+                Only in
+                <select className="border rounded-lg p-1 bg-white" value={searchOptions.sectionId} onChange={(e) => setSearchOptions(o => ({ ...o, sectionId: e.target.value }))}>
+                  <option value="">All sections</option>
+                  {currentPlan.activeSections.map(sec => <option key={sec.id} value={sec.id}>{sec.name}</option>)}
+                </select>
+              </label>
+            </div>
+            {searchRun && (
+              <SearchResultsPanel
+                run={searchRun}
+                results={searchResults}
+                currentIndex={currentIndex}
+                onShowAd={setCurrentIndex}
+                onMore={() => setSearchShown(n => n + SEARCH_PAGE)}
+                onClose={() => setSearchQuery(null)}
+              />
+            )}
+
+            <div className="mt-4 p-3 border rounded-xl space-y-2">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="flex gap-1" role="group" aria-label="Review status">
+                  {REVIEW_STATUSES.map(r => {
+                    const on = currentAd && adReview(currentAd).status === r.id;
+                    const tone = r.id === "approved" ? "bg-green-50 border-green-300 text-green-700" : r.id === "rejected" ? "bg-red-50 border-red-300 text-red-700" : "bg-gray-100 border-gray-300";
+                    return (
+                      <button key={r.id} onClick={() => setReviewForCurrent(r.id)} disabled={!currentKey} aria-pressed={!!on} className={`px-3 py-1 rounded-lg border text-sm disabled:opacity-50 ${on ? tone : "hover:bg-gray-50"}`}>
+                        {r.label}
+                      </button>
+                    );
+                  })}
+                </div>
+                <label className="flex items-center gap-2 text-sm">
+                  Show
+                  <select className="border rounded-lg p-1 bg-white" value={reviewFilter} onChange={(e) => changeReviewFilter(e.target.value)}>
+                    <option value="all">All ads</option>
+                    {REVIEW_STATUSES.map(r => <option key={r.id} value={r.id}>{r.label} only</option>)}
+                  </select>
+                </label>
+              </div>
+              <textarea
+                className="w-full border rounded-lg p-2 text-sm"
+                rows={2}
+                placeholder="Reviewer note…"
+                value={currentAd ? adReview(currentAd).note : ""}
+                disabled={!currentKey}
+                onChange={(e) => setReviewNoteForCurrent(e.target.value)}
+              />
+              <div className="text-xs text-gray-500">Keys: A approve · R reject · D back to draft · ← → or J K to step{reviewFilter !== "all" ? " (through the ads shown)" : ""}.</div>
+              {reviewMiss && <div className="text-xs text-amber-700" role="status">{reviewMiss}</div>}
+            </div>
 
             <div className="mt-4">
               <div className="text-xs text-gray-500 mb-1">Include/Exclude sections for this ad</div>
               <div className="flex flex-wrap gap-2">
-                {activeSections.map(sec => {
-                  const ov = effectiveOverride(currentIndex);
+                {currentPlan.activeSections.map((sec, i) => {
+                  const ov = effectiveOverride(currentAd);
                   const excluded = (ov.excludedIds||[]).includes(sec.id);
+                  if (currentCombo[i]?.omitted) {
+                    return <span key={sec.id} className="px-3 py-1 rounded-full border text-sm bg-gray-50 text-gray-500" title="Optional section left out of this variation">Omitted: {sec.name}</span>;
+                  }
                   return (
                     <button key={sec.id} onClick={() => toggleExcludeSectionForCurrent(sec.id)} className={`px-3 py-1 rounded-full border text-sm ${excluded? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
                       {excluded? 'Excluded: ' : 'Include: '}{sec.name}
@@ -564,14 +4980,42 @@ export default function AdVariationsBuilder() {
               <div className="text-sm font-medium mb-2">Edit this ad</div>
               <textarea
                 className="w-full border rounded-xl p-3 text-sm min-h-[220px] whitespace-pre-wrap"
-                value={buildAdByIndex(currentIndex)}
+                value={buildAd(currentAd)}
                 onChange={(e)=> setOverrideTextForCurrent(e.target.value)}
               />
               <div className="text-xs text-gray-500 mt-1">Tip: typing here creates a saved override for this specific ad.</div>
+              {currentAd && adViolations(currentAd).length > 0 && (
+                <div className="mt-2 rounded-xl border border-red-200 bg-red-50 p-2 text-xs text-red-700">
+                  Over the limit: {adViolations(currentAd).join("; ")}
+                </div>
+              )}
             </div>
 
+            {currentPlan.resolved.orphans.length > 0 && (
+              <details className="mt-4">
+                <summary className="cursor-pointer text-sm font-medium">Unmatched edits ({currentPlan.resolved.orphans.length})</summary>
+                <div className="text-xs text-gray-500 mt-1">These edits no longer match any ad. Restore one onto the ad shown above, or discard it.</div>
+                <ul className="mt-2 space-y-2">
+                  {currentPlan.resolved.orphans.map(o => (
+                    <li key={o.key} className="border rounded-xl p-3 text-sm">
+                      <div className="text-xs text-gray-500 mb-1">Unmatched because it {o.reason}</div>
+                      <div className="whitespace-pre-wrap line-clamp-3">
+                        {typeof o.override.text === "string" ? o.override.text
+                          : o.override.status ? `${REVIEW_STATUSES.find(r => r.id === o.override.status)?.label}${o.override.note ? `: ${o.override.note}` : ""}`
+                          : `Excludes ${(o.override.excludedIds || []).length} section(s)`}
+                      </div>
+                      <div className="mt-2 flex gap-2">
+                        <button onClick={() => restoreOrphanToCurrent(o.key)} disabled={!currentKey} className="px-3 py-1 rounded-lg border hover:bg-gray-50 text-xs disabled:opacity-50">Apply to this ad</button>
+                        <button onClick={() => discardOrphan(o.key)} className="px-3 py-1 rounded-lg border hover:bg-red-50 text-red-600 text-xs">Discard</button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+
             <div className="mt-4">
-              <div className="text-sm font-medium mb-2">Flow</div>
+              <div className="text-sm font-medium mb-2">Flow{currentAd && <span className="text-gray-500 font-normal">{describeAd(currentAd)}</span>}</div>
               <Flow />
             </div>
           </div>
@@ -588,6 +5032,14 @@ export default function AdVariationsBuilder() {
                 <span className="text-sm">Include section headings</span>
                 <input type="checkbox" checked={includeHeadings} onChange={(e) => setIncludeHeadings(e.target.checked)} />
               </label>
+              <label className="flex items-center justify-between gap-3 p-3 border rounded-xl">
+                <span className="text-sm">Export approved ads only</span>
+                <input type="checkbox" checked={approvedOnly} onChange={(e) => setApprovedOnly(e.target.checked)} />
+              </label>
+              <label className="flex items-center justify-between gap-3 p-3 border rounded-xl" title="Exports keep the first ad with a given text and leave out any later ad that reads the same">
+                <span className="text-sm">Leave repeated ads out of exports</span>
+                <input type="checkbox" checked={dedupeExports} onChange={(e) => setDedupeExports(e.target.checked)} />
+              </label>
               <label className="p-3 border rounded-xl">
                 <div className="text-sm mb-1">Separator between sections</div>
                 <input className="w-full border rounded-lg p-2" value={separator} onChange={(e) => setSeparator(e.target.value)} />
@@ -598,27 +5050,248 @@ export default function AdVariationsBuilder() {
                 <input type="number" min={1} className="w-full border rounded-lg p-2" value={maxForPreview} onChange={(e) => setMaxForPreview(Number(e.target.value || 1))} />
               </label>
               <label className="p-3 border rounded-xl">
-                <div className="text-sm mb-1">Safety cap for ZIP (files)</div>
+                <div className="text-sm mb-1">Safety cap for exports (ads)</div>
                 <input type="number" min={100} className="w-full border rounded-lg p-2" value={maxForZip} onChange={(e) => setMaxForZip(Number(e.target.value || 100))} />
               </label>
+              <div className="p-3 border rounded-xl sm:col-span-2 space-y-2">
+                <label className="block">
+                  <div className="text-sm mb-1">File names (ZIP and individual downloads)</div>
+                  <input className="w-full border rounded-lg p-2 font-mono text-sm" value={fileNames.template} onChange={(e) => setFileNames(f => ({ ...f, template: e.target.value }))} />
+                </label>
+                <label className="flex items-center justify-between gap-2 text-sm">
+                  Longest name (characters before “.txt”)
+                  <input type="number" min={1} className="w-24 border rounded-lg p-1" value={fileNames.maxLength} onChange={(e) => setFileNames(f => ({ ...f, maxLength: Math.max(1, Math.floor(Number(e.target.value) || 1)) }))} />
+                </label>
+                {fileNameTemplate.errors.length > 0 ? (
+                  <ul className="text-xs text-red-600 list-disc pl-4">
+                    {fileNameTemplate.errors.map(err => <li key={err}>{err}</li>)}
+                  </ul>
+                ) : fileNameSample && (
+                  <div className="text-xs text-gray-600">
+                    e.g. <span className="font-mono">{fileNameSample.names[0]}</span>
+                    {fileNameSample.renamed > 0 && <span className="text-amber-700"> · {fileNameSample.renamed} of the first {fileNameSample.names.length} ads share a name and would be numbered -2, -3…</span>}
+                  </div>
+                )}
+                <details className="text-xs text-gray-500">
+                  <summary className="cursor-pointer">Tokens</summary>
+                  <ul className="mt-1 space-y-0.5">
+                    {FILE_NAME_TOKENS.map(t => <li key={t.name}><span className="font-mono">{`{${t.name}${t.arg ? ":Section" : ""}}`}</span> — {t.hint}</li>)}
+                  </ul>
+                  <div className="mt-1">After a token add <span className="font-mono">:slug</span>, <span className="font-mono">:lower</span>, <span className="font-mono">:upper</span> or a length such as <span className="font-mono">:20</span>. Characters file systems don’t allow become “-”.</div>
+                  {fileNames.template !== DEFAULT_FILE_NAME_TEMPLATE && (
+                    <button onClick={() => setFileNames(f => ({ ...f, template: DEFAULT_FILE_NAME_TEMPLATE }))} className="mt-1 px-2 py-0.5 rounded-lg border hover:bg-gray-50">Use the default</button>
+                  )}
+                </details>
+              </div>
+              <div className="p-3 border rounded-xl sm:col-span-2 space-y-2">
+                <div className="text-sm">ZIP layout</div>
+                <label className="flex items-center justify-between gap-2 text-sm">
+                  Folders
+                  <select className="border rounded-lg p-1 bg-white" value={zipSettings.folderSectionId} onChange={(e) => setZipSettings(z => ({ ...z, folderSectionId: e.target.value }))}>
+                    <option value="">None</option>
+                    {sections.map(sec => <option key={sec.id} value={sec.id}>One per line of {sec.name}</option>)}
+                  </select>
+                </label>
+                <label className="flex items-center justify-between gap-2 text-sm">
+                  Files per archive (0 for one archive)
+                  <input type="number" min={0} className="w-24 border rounded-lg p-1" value={zipSettings.filesPerArchive} onChange={(e) => setZipSettings(z => ({ ...z, filesPerArchive: Math.max(0, Math.floor(Number(e.target.value) || 0)) }))} />
+                </label>
+                <div className="text-xs text-gray-500">Every archive also holds manifest.json and manifest.csv, listing each file with its item IDs, excluded sections and whether it was edited. An archive that passes {ZIP_ARCHIVE_BYTES / 1024 ** 3} GB is closed and the export goes on in a new part.</div>
+              </div>
+              {recipes.length > 0 && (
+                <label className="p-3 border rounded-xl">
+                  <div className="text-sm mb-1">Recipe</div>
+                  <select className="w-full border rounded-lg p-2 bg-white" value={recipeScope} onChange={(e) => { setRecipeScope(e.target.value); setCurrentIndex(0n); }}>
+                    <option value="">Enabled sections</option>
+                    {recipes.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                    <option value={ALL_RECIPES}>All recipes</option>
+                  </select>
+                </label>
+              )}
+              <label className="p-3 border rounded-xl">
+                <div className="text-sm mb-1">Ads to generate</div>
+                <select className="w-full border rounded-lg p-2 bg-white" value={generation.mode} onChange={(e) => setGeneration(g => ({ ...g, mode: e.target.value }))}>
+                  <option value="all">Every combination</option>
+                  <option value="sample">Random sample</option>
+                  <option value="pairwise">All pairs (every two lines together at least once)</option>
+                </select>
+              </label>
+              <div className="p-3 border rounded-xl space-y-2">
+                <label className="block">
+                  <div className="text-sm mb-1">Platform limits</div>
+                  <select className="w-full border rounded-lg p-2 bg-white" value={limits.profile} onChange={(e) => setLimits(l => ({ ...l, profile: e.target.value }))}>
+                    {PLATFORM_PROFILES.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                  </select>
+                </label>
+                {limits.profile === "custom" && (
+                  <>
+                    <label className="flex items-center justify-between gap-2 text-sm">
+                      Characters per ad
+                      <input type="number" min={0} className="w-24 border rounded-lg p-1" value={limits.adLimit} onChange={(e) => setLimits(l => ({ ...l, adLimit: Math.max(0, Math.floor(Number(e.target.value) || 0)) }))} />
+                    </label>
+                    <label className="flex items-center justify-between gap-2 text-sm">
+                      Characters per line
+                      <input type="number" min={0} className="w-24 border rounded-lg p-1" value={limits.lineLimit} onChange={(e) => setLimits(l => ({ ...l, lineLimit: Math.max(0, Math.floor(Number(e.target.value) || 0)) }))} />
+                    </label>
+                  </>
+                )}
+                {limits.profile !== "none" && (
+                  <label className="flex items-center justify-between gap-2 text-sm">
+                    Over-limit ads in exports
+                    <select className="border rounded-lg p-1 bg-white" value={limits.onExport} onChange={(e) => setLimits(l => ({ ...l, onExport: e.target.value }))}>
+                      <option value="include">Include</option>
+                      <option value="flag">Flag</option>
+                      <option value="skip">Skip</option>
+                    </select>
+                  </label>
+                )}
+              </div>
+              {generation.mode === "pairwise" && (
+                <label className="p-3 border rounded-xl flex items-center justify-between gap-2 text-sm">
+                  Seed
+                  <span className="flex items-center gap-1">
+                    <input className="w-24 border rounded-lg p-1" value={generation.seed} onChange={(e) => setGeneration(g => ({ ...g, seed: e.target.value }))} />
+                    <button onClick={(e) => { e.preventDefault(); setGeneration(g => ({ ...g, seed: uid() })); }} className="p-1 rounded-lg border hover:bg-gray-50" title="New random seed" aria-label="New random seed"><Shuffle className="w-4 h-4" /></button>
+                  </span>
+                </label>
+              )}
+              {generation.mode === "sample" && (
+                <div className="p-3 border rounded-xl space-y-2">
+                  <label className="flex items-center justify-between gap-2 text-sm">
+                    Sample size
+                    <input type="number" min={1} className="w-24 border rounded-lg p-1" value={generation.sampleSize} onChange={(e) => setGeneration(g => ({ ...g, sampleSize: Math.max(1, Math.floor(Number(e.target.value) || 1)) }))} />
+                  </label>
+                  <label className="flex items-center justify-between gap-2 text-sm">
+                    Seed
+                    <span className="flex items-center gap-1">
+                      <input className="w-24 border rounded-lg p-1" value={generation.seed} onChange={(e) => setGeneration(g => ({ ...g, seed: e.target.value }))} />
+                      <button onClick={(e) => { e.preventDefault(); setGeneration(g => ({ ...g, seed: uid() })); }} className="p-1 rounded-lg border hover:bg-gray-50" title="New random seed" aria-label="New random seed"><Shuffle className="w-4 h-4" /></button>
+                    </span>
+                  </label>
+                  <label className="flex items-center justify-between gap-2 text-sm">
+                    Balance item usage
+                    <input type="checkbox" checked={generation.balanced} onChange={(e) => setGeneration(g => ({ ...g, balanced: e.target.checked }))} />
+                  </label>
+                </div>
+              )}
             </div>
 
             <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
-              <span className="px-2 py-1 rounded-lg bg-gray-100">Sections used: {activeSections.length}</span>
-              <span className="px-2 py-1 rounded-lg bg-gray-100">Total variations: <strong>{totalCombos.toLocaleString()}</strong></span>
+              {plans.length === 1
+                ? <span className="px-2 py-1 rounded-lg bg-gray-100">Sections used: {plans[0].activeSections.length}</span>
+                : <span className="px-2 py-1 rounded-lg bg-gray-100">Recipes: {plans.length}</span>}
+              <span className="px-2 py-1 rounded-lg bg-gray-100">Total variations: <strong>{totalCombos.toLocaleString()}</strong>{totalCombos !== rawCombos && <span className="text-gray-500"> of {rawCombos.toLocaleString()} (rules)</span>}</span>
+              {generation.mode === "sample" && <span className="px-2 py-1 rounded-lg bg-gray-100">Sampled: <strong>{adCount.toLocaleString()}</strong></span>}
+              {generation.mode === "pairwise" && <span className="px-2 py-1 rounded-lg bg-gray-100">All-pairs set: <strong>{adCount.toLocaleString()}</strong></span>}
             </div>
+            {pairwiseSkipped.length > 0 && (
+              <p className="mt-2 text-sm text-red-600">
+                All-pairs is limited to {PAIRWISE_MAX_PAIRS.toLocaleString()} item pairs, so no ads are made for: {pairwiseSkipped.map(p => (p.recipe ? p.recipe.name : "the enabled sections")).join(", ")}. Use a sample instead, or split the sections into smaller recipes.
+              </p>
+            )}
+
+            <details className="mt-4 p-3 border rounded-xl">
+              <summary className="cursor-pointer text-sm font-medium">Google Ads export</summary>
+              <div className="mt-3 grid sm:grid-cols-2 gap-2 text-sm">
+                {[["campaign", "Campaign"], ["adGroup", "Ad group"], ["finalUrl", "Final URL"], ["path1", "Path 1"], ["path2", "Path 2"]].map(([key, label]) => (
+                  <label key={key} className="flex items-center justify-between gap-2">
+                    {label}
+                    <input className="w-44 border rounded-lg p-1" value={googleAds[key]} onChange={(e) => setGoogleAds(g => ({ ...g, [key]: e.target.value }))} />
+                  </label>
+                ))}
+              </div>
+              <div className="mt-3 text-xs text-gray-500">Which field each section fills. A section mapped to Final URL or a path overrides the value above.</div>
+              <div className="mt-2 grid sm:grid-cols-2 gap-2 text-sm">
+                {sections.map(sec => (
+                  <label key={sec.id} className="flex items-center justify-between gap-2">
+                    <span className="truncate">{sec.name}</span>
+                    <select className="border rounded-lg p-1 bg-white" value={googleAds.fields[sec.id] || "none"} aria-label={`Google Ads field for ${sec.name}`}
+                      onChange={(e) => setGoogleAds(g => ({ ...g, fields: { ...g.fields, [sec.id]: e.target.value } }))}>
+                      {GOOGLE_RSA_FIELDS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              <div className="mt-2 text-xs text-gray-500">
+                Each ad needs {GOOGLE_RSA.headlines[0]}–{GOOGLE_RSA.headlines[1]} headlines (up to {GOOGLE_RSA.headlineLength} characters) and {GOOGLE_RSA.descriptions[0]}–{GOOGLE_RSA.descriptions[1]} descriptions (up to {GOOGLE_RSA.descriptionLength}); use “Lines per ad” to pick several. Hand-edited ad text isn’t used here.
+              </div>
+            </details>
+
+            <details className="mt-2 p-3 border rounded-xl">
+              <summary className="cursor-pointer text-sm font-medium">Meta Ads export</summary>
+              <div className="mt-3 grid sm:grid-cols-2 gap-2 text-sm">
+                {[["campaign", "Campaign"], ["adSet", "Ad set"], ["link", "Link"]].map(([key, label]) => (
+                  <label key={key} className="flex items-center justify-between gap-2">
+                    {label}
+                    <input className="w-44 border rounded-lg p-1" value={metaAds[key]} onChange={(e) => setMetaAds(m => ({ ...m, [key]: e.target.value }))} />
+                  </label>
+                ))}
+                <label className="flex items-center justify-between gap-2">
+                  Call to action
+                  <select className="w-44 border rounded-lg p-1 bg-white" value={metaAds.cta} onChange={(e) => setMetaAds(m => ({ ...m, cta: e.target.value }))}>
+                    {META_CTA_TYPES.map(cta => <option key={cta} value={cta}>{cta.replace(/_/g, " ").toLowerCase()}</option>)}
+                  </select>
+                </label>
+              </div>
+              <div className="mt-3 text-xs text-gray-500">Which field each section fills. A section mapped to Call to action or Link overrides the value above.</div>
+              <div className="mt-2 grid sm:grid-cols-2 gap-2 text-sm">
+                {sections.map(sec => (
+                  <label key={sec.id} className="flex items-center justify-between gap-2">
+                    <span className="truncate">{sec.name}</span>
+                    <select className="border rounded-lg p-1 bg-white" value={metaAds.fields[sec.id] || "none"} aria-label={`Meta field for ${sec.name}`}
+                      onChange={(e) => setMetaAds(m => ({ ...m, fields: { ...m.fields, [sec.id]: e.target.value } }))}>
+                      {META_FIELDS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                    </select>
+                  </label>
+                ))}
+              </div>
+              <div className="mt-2 text-xs text-gray-500">
+                Meta cuts off primary text after {META_LENGTHS.primaryText} characters, headlines after {META_LENGTHS.headline} and descriptions after {META_LENGTHS.description}. Hand-edited ad text isn’t used here.
+              </div>
+            </details>
 
             <div className="mt-4 flex flex-wrap gap-2">
-              <button onClick={downloadZip} disabled={totalCombos === 0} className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-black text-white hover:opacity-90 disabled:opacity-50">
+              <button onClick={downloadZip} disabled={adCount === 0n || !!zipProgress} className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-black text-white hover:opacity-90 disabled:opacity-50">
                 <FolderDown className="w-4 h-4" /> Download all as ZIP
               </button>
-              <button onClick={downloadCombined} disabled={totalCombos === 0} className="inline-flex items-center gap-2 px-4 py-2 rounded-xl border hover:bg-gray-50 disabled:opacity-50">
+              <button onClick={downloadCombined} disabled={adCount === 0n} className="inline-flex items-center gap-2 px-4 py-2 rounded-xl border hover:bg-gray-50 disabled:opacity-50">
                 <FileText className="w-4 h-4" /> Download one combined .txt
               </button>
-              <button onClick={downloadIndividually} disabled={totalCombos === 0} className="inline-flex items-center gap-2 px-4 py-2 rounded-xl border hover:bg-gray-50 disabled:opacity-50">
+              <button onClick={downloadIndividually} disabled={adCount === 0n} className="inline-flex items-center gap-2 px-4 py-2 rounded-xl border hover:bg-gray-50 disabled:opacity-50">
                 <Download className="w-4 h-4" /> Download files individually
               </button>
+              <button onClick={downloadGoogleAds} disabled={adCount === 0n} className="inline-flex items-center gap-2 px-4 py-2 rounded-xl border hover:bg-gray-50 disabled:opacity-50">
+                <FileDown className="w-4 h-4" /> Google Ads CSV
+              </button>
+              <button onClick={downloadMetaAds} disabled={adCount === 0n} className="inline-flex items-center gap-2 px-4 py-2 rounded-xl border hover:bg-gray-50 disabled:opacity-50">
+                <FileDown className="w-4 h-4" /> Meta Ads CSV
+              </button>
+              <button onClick={downloadTraceCsv} disabled={adCount === 0n} className="inline-flex items-center gap-2 px-4 py-2 rounded-xl border hover:bg-gray-50 disabled:opacity-50" title="One row per ad with the ID and text of every line it uses">
+                <FileText className="w-4 h-4" /> Traceable CSV
+              </button>
+              <button onClick={downloadTraceJson} disabled={adCount === 0n} className="inline-flex items-center gap-2 px-4 py-2 rounded-xl border hover:bg-gray-50 disabled:opacity-50" title="The same as the traceable CSV, as JSON">
+                <FileText className="w-4 h-4" /> Traceable JSON
+              </button>
+              <label className="inline-flex items-center gap-2 px-4 py-2 rounded-xl border hover:bg-gray-50 cursor-pointer" title="A campaign report with an Ad ID (or Final text) column and CTR, CPA, spend… per ad">
+                <Upload className="w-4 h-4" /> Import results
+                <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" className="hidden" onChange={(e) => { importPerformance(e.target.files[0]); e.target.value = ""; }} />
+              </label>
             </div>
+            {performance && (
+              <div className="mt-2 flex items-center gap-2 text-xs text-gray-500">
+                Results for {performance.records.length.toLocaleString()} ad(s) from {performance.fileName} are shown next to each line.
+                <button onClick={() => { if (window.confirm("Remove the imported results?")) setPerformance(null); }} className="px-2 py-0.5 rounded-lg border hover:bg-gray-50">Clear</button>
+              </div>
+            )}
+            {zipProgress && (
+              <div className="mt-3 flex items-center gap-3 text-sm" role="status">
+                <div className="flex-1 h-2 rounded-full bg-gray-200 overflow-hidden">
+                  <div className="h-full bg-black transition-all" style={{ width: `${zipProgress.total ? (100 * zipProgress.done) / zipProgress.total : 0}%` }} />
+                </div>
+                <span className="text-gray-600 whitespace-nowrap">Building and zipping {zipProgress.done.toLocaleString()} / {zipProgress.total.toLocaleString()}</span>
+                <button onClick={cancelZip} className="px-3 py-1 rounded-lg border hover:bg-gray-50">Cancel</button>
+              </div>
+            )}
           </div>
 
           {/* Preview */}
@@ -628,12 +5301,16 @@ export default function AdVariationsBuilder() {
               <p className="text-sm text-gray-500">Add at least one option to each enabled section to see preview combinations.</p>
             ) : (
               <ul className="space-y-4">
-                {preview.map((p, idx) => (
-                  <li key={idx} className="border rounded-xl p-3 text-sm whitespace-pre-wrap">
-                    <div className="text-xs text-gray-500 mb-2">Ad {idx + 1}{overrides[idx]?.text ? " [Edited]" : ""}</div>
-                    {p}
-                  </li>
-                ))}
+                {preview.map((p, idx) => {
+                  const issues = adViolations(adAt(idx));
+                  return (
+                    <li key={idx} className={`border rounded-xl p-3 text-sm whitespace-pre-wrap ${issues.length ? "border-red-200" : ""}`}>
+                      <div className="text-xs text-gray-500 mb-2">Ad {idx + 1}{describeAd(adAt(idx))}{isEdited(adAt(idx)) ? " [Edited]" : ""}{adReview(adAt(idx)).status !== "draft" ? ` [${REVIEW_STATUSES.find(r => r.id === adReview(adAt(idx)).status).label}]` : ""}</div>
+                      {issues.length > 0 && <div className="text-xs text-red-600 mb-2">Over the limit: {issues.join("; ")}</div>}
+                      {p}
+                    </li>
+                  );
+                })}
               </ul>
             )}
           </div>